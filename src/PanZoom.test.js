@@ -1,5 +1,209 @@
+import * as React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import PanZoom from './PanZoom'
+
 describe('Simple test', () => {
   it('Should validate', () => {
     expect(1+1).toBe(2)
   })
 })
+
+describe('Controlled mode', () => {
+  let root = null
+
+  beforeEach(() => {
+    root = document.createElement('div')
+    document.body.appendChild(root)
+  })
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(root)
+    document.body.removeChild(root)
+  })
+
+  it('Should propose new values through onChange without applying them', () => {
+    const ref = React.createRef()
+    const onChange = jest.fn()
+    const value = { x: 10, y: 20, scale: 1, rotate: 0 }
+
+    act(() => {
+      ReactDOM.render(<PanZoom ref={ref} value={value} onChange={onChange} />, root)
+    })
+    act(() => {
+      ref.current.zoomIn()
+    })
+
+    expect(onChange).toHaveBeenCalledTimes(1)
+    expect(onChange.mock.calls[0][0].scale).toBeGreaterThan(1)
+    expect(ref.current.getTransformState()).toBe(value)
+  })
+
+  it('Should clamp proposed values with minZoom and maxZoom', () => {
+    const ref = React.createRef()
+    const onChange = jest.fn()
+
+    act(() => {
+      ReactDOM.render(
+        <PanZoom ref={ref} value={{ x: 0, y: 0, scale: 1.9, rotate: 0 }} onChange={onChange} maxZoom={2} />,
+        root,
+      )
+    })
+    act(() => {
+      ref.current.zoomIn(10)
+    })
+
+    expect(onChange.mock.calls[0][0].scale).toBe(2)
+  })
+
+  it('Should build consecutive proposals of a batched handler on each other', () => {
+    const ref = React.createRef()
+    const Viewer = () => {
+      const [value, setValue] = React.useState({ x: 0, y: 0, scale: 1, rotate: 0 })
+      return <PanZoom ref={ref} value={value} onChange={setValue} />
+    }
+
+    act(() => {
+      ReactDOM.render(<Viewer />, root)
+    })
+    act(() => {
+      ReactDOM.unstable_batchedUpdates(() => {
+        ref.current.moveBy(10, 0, false)
+        ref.current.moveBy(0, 20, false)
+      })
+    })
+
+    expect(ref.current.getTransformState()).toEqual({ x: 10, y: 20, scale: 1, rotate: 0 })
+    expect(ref.current.pendingState).toBe(null)
+  })
+
+  it('Should not propose the same transform after a click', () => {
+    const onChange = jest.fn()
+    const value = { x: 0, y: 0, scale: 1, rotate: 0 }
+
+    act(() => {
+      ReactDOM.render(<PanZoom value={value} onChange={onChange} />, root)
+    })
+    const container = root.firstChild
+    const pointerEvent = type => {
+      const event = new MouseEvent(type, { clientX: 10, clientY: 10, button: 0, bubbles: true })
+      Object.defineProperty(event, 'pointerId', { value: 1 })
+      act(() => {
+        container.dispatchEvent(event)
+      })
+    }
+    pointerEvent('pointerdown')
+    pointerEvent('pointerup')
+
+    expect(onChange).not.toHaveBeenCalled()
+  })
+
+  it('Should start from defaultValue when uncontrolled', () => {
+    const ref = React.createRef()
+    const onChange = jest.fn()
+
+    act(() => {
+      ReactDOM.render(<PanZoom ref={ref} defaultValue={{ scale: 2 }} onChange={onChange} />, root)
+    })
+    act(() => {
+      ref.current.rotate(90)
+    })
+
+    expect(onChange).toHaveBeenCalledWith({ x: 0, y: 0, scale: 2, rotate: 90 })
+    expect(ref.current.getTransformState()).toEqual({ x: 0, y: 0, scale: 2, rotate: 90 })
+  })
+})
+
+describe('Accessibility', () => {
+  let root = null
+
+  beforeEach(() => {
+    root = document.createElement('div')
+    document.body.appendChild(root)
+  })
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(root)
+    document.body.removeChild(root)
+  })
+
+  it('Should render an application role, a default label and a live region', () => {
+    act(() => {
+      ReactDOM.render(<PanZoom />, root)
+    })
+
+    const container = root.firstChild
+    expect(container.getAttribute('role')).toBe('application')
+    expect(container.getAttribute('aria-label')).toBe('Pan and zoom area')
+    expect(container.querySelector('[aria-live="polite"]')).not.toBe(null)
+  })
+
+  it('Should let the props override the role and the label', () => {
+    act(() => {
+      ReactDOM.render(<PanZoom role="img" aria-label="Floor plan" />, root)
+    })
+
+    const container = root.firstChild
+    expect(container.getAttribute('role')).toBe('img')
+    expect(container.getAttribute('aria-label')).toBe('Floor plan')
+  })
+})
+
+describe('Persistence', () => {
+  let root = null
+
+  beforeEach(() => {
+    root = document.createElement('div')
+    document.body.appendChild(root)
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(root)
+    document.body.removeChild(root)
+    jest.useRealTimers()
+  })
+
+  it('Should restore the persisted transform instead of autoCenter', () => {
+    const ref = React.createRef()
+    const storage = { read: jest.fn(() => ({ x: 10, y: 20, scale: 5, rotate: 90 })), write: jest.fn() }
+
+    act(() => {
+      ReactDOM.render(<PanZoom ref={ref} autoCenter maxZoom={3} persist={{ id: 'plan', storage }} />, root)
+    })
+
+    expect(storage.read).toHaveBeenCalledWith('plan')
+    // the restored values respect the zoom limits
+    expect(ref.current.getTransformState()).toEqual({ x: 10, y: 20, scale: 3, rotate: 90 })
+  })
+
+  it('Should write the transform once it stays unchanged for the delay', () => {
+    const ref = React.createRef()
+    const storage = { read: () => null, write: jest.fn() }
+
+    act(() => {
+      ReactDOM.render(<PanZoom ref={ref} persist={{ id: 'plan', storage, delay: 100 }} />, root)
+    })
+    act(() => {
+      ref.current.moveBy(10, 0, false)
+    })
+    jest.advanceTimersByTime(50)
+    act(() => {
+      ref.current.moveBy(10, 0, false)
+    })
+    jest.advanceTimersByTime(50)
+    expect(storage.write).not.toHaveBeenCalled()
+
+    jest.advanceTimersByTime(50)
+    expect(storage.write).toHaveBeenCalledTimes(1)
+    expect(storage.write).toHaveBeenCalledWith('plan', { x: 20, y: 0, scale: 1, rotate: 0 })
+
+    // the pending transform is written when unmounting
+    act(() => {
+      ref.current.rotate(90)
+    })
+    ReactDOM.unmountComponentAtNode(root)
+    expect(storage.write).toHaveBeenCalledTimes(2)
+    expect(storage.write.mock.calls[1][1].rotate).toBe(90)
+  })
+})
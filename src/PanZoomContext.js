@@ -0,0 +1,220 @@
+// @flow
+import * as React from 'react'
+import warning from 'warning'
+import { defaultState } from './core/PanZoomController'
+import type { TransformState } from './core/types'
+import type PanZoom from './PanZoom'
+
+type Listener = () => void
+
+export type ZoomLimits = {
+  minZoom: ?number,
+  maxZoom: ?number,
+}
+
+const noZoomLimits: ZoomLimits = { minZoom: null, maxZoom: null }
+
+const getZoomLimits = (panZoom: ?PanZoom): ZoomLimits => {
+  if (!panZoom) {
+    return noZoomLimits
+  }
+  const { minZoom, maxZoom } = panZoom.controller.getOptions()
+  return { minZoom, maxZoom }
+}
+
+// The store does not change during the life of the provider, the consumers subscribe to
+// the changes they need instead of re-rendering with every new context value
+export type PanZoomStore = {
+  // created by a PanZoomProvider, rather than by a PanZoom for its own children
+  isProvider: boolean,
+  // PanZoom instance rendered inside the provider, null until it is mounted
+  getInstance: () => ?PanZoom,
+  // Transform of the instance state, updated once a pan is over with noStateUpdate
+  getTransform: () => TransformState,
+  // Transform displayed on screen, updated on every frame
+  getLiveTransform: () => TransformState,
+  // minZoom and maxZoom options of the instance, updated with the transform
+  getZoomLimits: () => ZoomLimits,
+  // live listeners are also notified of the frames not dispatched to the state
+  subscribe: (listener: Listener, live?: boolean) => () => void,
+  register: (panZoom: PanZoom) => void,
+  unregister: (panZoom: PanZoom) => void,
+  update: (panZoom: PanZoom, transform: TransformState) => void,
+}
+
+export const createPanZoomStore = (isProvider?: boolean = false): PanZoomStore => {
+  let instance: ?PanZoom = null
+  let transform = defaultState
+  let liveTransform = defaultState
+  let zoomLimits = noZoomLimits
+  let unsubscribeInstance = null
+  const listeners: Map<Listener, boolean> = new Map()
+
+  const notify = (live: boolean) => {
+    listeners.forEach((isLiveListener, listener) => {
+      if (!live || isLiveListener) {
+        listener()
+      }
+    })
+  }
+
+  const setInstance = (panZoom: ?PanZoom) => {
+    if (unsubscribeInstance) {
+      unsubscribeInstance()
+      unsubscribeInstance = null
+    }
+
+    instance = panZoom
+    transform = panZoom ? panZoom.getTransformState() : defaultState
+    liveTransform = transform
+    zoomLimits = getZoomLimits(panZoom)
+
+    if (panZoom) {
+      unsubscribeInstance = panZoom.controller.subscribe(state => {
+        liveTransform = state
+        notify(true)
+      })
+    }
+    notify(false)
+  }
+
+  return {
+    isProvider,
+    getInstance: () => instance,
+    getTransform: () => transform,
+    getLiveTransform: () => liveTransform,
+    getZoomLimits: () => zoomLimits,
+    subscribe: (listener: Listener, live?: boolean = false) => {
+      listeners.set(listener, live)
+      return () => {
+        listeners.delete(listener)
+      }
+    },
+    // the first instance is kept, a provider shares a single PanZoom
+    register: (panZoom: PanZoom) => {
+      if (instance && instance !== panZoom) {
+        if (process.env.NODE_ENV !== 'production') {
+          warning(false, 'A `PanZoomProvider` can only share one `PanZoom`, the other instances are ignored by its controls.')
+        }
+        return
+      }
+      setInstance(panZoom)
+    },
+    unregister: (panZoom: PanZoom) => {
+      if (instance === panZoom) {
+        setInstance(null)
+      }
+    },
+    update: (panZoom: PanZoom, nextTransform: TransformState) => {
+      if (instance !== panZoom) {
+        return
+      }
+      transform = nextTransform
+      liveTransform = nextTransform
+      zoomLimits = getZoomLimits(panZoom)
+      notify(false)
+    },
+  }
+}
+
+export const PanZoomContext = React.createContext<?PanZoomStore>(null)
+
+type Props = {
+  children?: React.Node,
+}
+
+// Shares a PanZoom instance with the controls rendered next to it, e.g.
+// <PanZoomProvider><PanZoom /><ZoomControls /></PanZoomProvider>
+export class PanZoomProvider extends React.Component<Props> {
+  store = createPanZoomStore(true)
+
+  render() {
+    return (
+      <PanZoomContext.Provider value={this.store}>
+        {this.props.children}
+      </PanZoomContext.Provider>
+    )
+  }
+}
+
+const isShallowEqual = (a: any, b: any): boolean => {
+  if (Object.is(a, b)) {
+    return true
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false
+  }
+
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]))
+}
+
+// Re-render when the selected value changes
+const useStoreValue = <T>(store: ?PanZoomStore, select: (store: PanZoomStore) => T, fallback: T, live: boolean): T => {
+  const [, forceUpdate] = React.useReducer(count => count + 1, 0)
+  const value = store ? select(store) : fallback
+
+  const latest = React.useRef({ value, select })
+  latest.current = { value, select }
+
+  React.useLayoutEffect(() => {
+    const subscribedStore = store
+    if (!subscribedStore) {
+      return
+    }
+
+    const checkForUpdate = () => {
+      if (!isShallowEqual(latest.current.select(subscribedStore), latest.current.value)) {
+        forceUpdate()
+      }
+    }
+    const unsubscribe = subscribedStore.subscribe(checkForUpdate, live)
+    // the store might have changed between the render and the subscription
+    checkForUpdate()
+    return unsubscribe
+  }, [store, live])
+
+  return value
+}
+
+export type PanZoomContextValue = {
+  panZoom: ?PanZoom,
+  store: ?PanZoomStore,
+}
+
+// PanZoom instance of the closest PanZoomProvider, or of the PanZoom the component is rendered in.
+// Only re-renders when the instance is mounted or unmounted
+export const usePanZoomContext = (): PanZoomContextValue => {
+  const store = React.useContext(PanZoomContext)
+  const panZoom = useStoreValue(store, store => store.getInstance(), null, false)
+  return { panZoom, store }
+}
+
+type TransformOptions = {
+  // follow every frame of the pans, inertia and animations, even with noStateUpdate
+  live?: boolean,
+}
+
+// Transform of the PanZoom instance, or the part of it picked by the selector,
+// e.g. usePanZoomTransform(transform => transform.scale) does not re-render while panning
+export const usePanZoomTransform = <T>(
+  selector?: (transform: TransformState) => T,
+  options?: TransformOptions = {},
+): T => {
+  const store = React.useContext(PanZoomContext)
+  const { live = false } = options
+  const select = (transform: TransformState): any => selector ? selector(transform) : transform
+
+  return useStoreValue(
+    store,
+    store => select(live ? store.getLiveTransform() : store.getTransform()),
+    select(defaultState),
+    live,
+  )
+}
+
+// Zoom limits of the instance, for the controls showing the zoom range
+export const useZoomLimits = (): ZoomLimits => {
+  const store = React.useContext(PanZoomContext)
+  return useStoreValue(store, store => store.getZoomLimits(), noZoomLimits, false)
+}
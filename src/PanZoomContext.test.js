@@ -0,0 +1,141 @@
+import * as React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import PanZoom from './PanZoom'
+import { PanZoomProvider, usePanZoomContext, usePanZoomTransform } from './PanZoomContext'
+import { pointerEvent, createRoot, removeRoot, mockLayout, mockAnimationFrame } from '../test/helpers'
+
+describe('PanZoomContext', () => {
+  let root = null
+
+  beforeEach(() => {
+    root = createRoot()
+    mockLayout()
+    mockAnimationFrame()
+  })
+
+  afterEach(() => {
+    removeRoot(root)
+    jest.restoreAllMocks()
+  })
+
+  it('Should share the transform with the children of PanZoom', () => {
+    const ref = React.createRef()
+    const Label = () => {
+      const scale = usePanZoomTransform(transform => transform.scale)
+      return <span id="label" style={{ fontSize: 12 / scale }}>label</span>
+    }
+
+    act(() => {
+      ReactDOM.render(<PanZoom ref={ref}><Label /></PanZoom>, root)
+    })
+    act(() => {
+      ref.current.setZoom(2)
+    })
+
+    expect(document.getElementById('label').style.fontSize).toBe('6px')
+  })
+
+  it('Should only re-render the live consumers while panning', () => {
+    const ref = React.createRef()
+    const renders = { scale: 0, live: 0 }
+    let liveTransform = null
+
+    const ScaleConsumer = () => {
+      usePanZoomTransform(transform => transform.scale)
+      renders.scale += 1
+      return null
+    }
+    const LiveConsumer = () => {
+      liveTransform = usePanZoomTransform(undefined, { live: true })
+      renders.live += 1
+      return null
+    }
+
+    act(() => {
+      ReactDOM.render(
+        <PanZoomProvider>
+          <PanZoom ref={ref} />
+          <ScaleConsumer />
+          <LiveConsumer />
+        </PanZoomProvider>,
+        root,
+      )
+    })
+    const initialRenders = { ...renders }
+
+    // pan frames, not dispatched to the state with noStateUpdate
+    const container = root.firstChild
+    pointerEvent(container, 'pointerdown', 0, 0)
+    pointerEvent(container, 'pointermove', 10, 0)
+    pointerEvent(container, 'pointermove', 20, 5)
+
+    expect(liveTransform).toEqual({ x: 20, y: 5, scale: 1, rotate: 0 })
+    expect(ref.current.getTransformState()).toEqual({ x: 0, y: 0, scale: 1, rotate: 0 })
+    expect(renders.live).toBe(initialRenders.live + 2)
+    expect(renders.scale).toBe(initialRenders.scale)
+  })
+
+  it('Should give the instance to the sibling components', () => {
+    const ref = React.createRef()
+    let panZoom = null
+    const Toolbar = () => {
+      panZoom = usePanZoomContext().panZoom
+      return null
+    }
+
+    act(() => {
+      ReactDOM.render(
+        <PanZoomProvider>
+          <Toolbar />
+          <PanZoom ref={ref} />
+        </PanZoomProvider>,
+        root,
+      )
+    })
+    expect(panZoom).toBe(ref.current)
+
+    act(() => {
+      ReactDOM.render(<PanZoomProvider><Toolbar /></PanZoomProvider>, root)
+    })
+    expect(panZoom).toBe(null)
+  })
+
+  it('Should keep the instances of several PanZooms apart', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const first = React.createRef()
+    const second = React.createRef()
+    const instances = {}
+    const Consumer = ({ name }) => {
+      instances[name] = usePanZoomContext().panZoom
+      return null
+    }
+
+    act(() => {
+      ReactDOM.render(
+        <PanZoomProvider>
+          <PanZoom ref={first}>
+            <Consumer name="first" />
+            <PanZoom ref={second}>
+              <Consumer name="nested" />
+            </PanZoom>
+          </PanZoom>
+          <PanZoom>
+            <Consumer name="third" />
+          </PanZoom>
+          <Consumer name="sibling" />
+        </PanZoomProvider>,
+        root,
+      )
+    })
+
+    expect(instances.first).toBe(first.current)
+    expect(instances.nested).toBe(second.current)
+    expect(instances.third).not.toBe(first.current)
+    expect(instances.third).toBeTruthy()
+    // the provider shares the first instance and reports the other one
+    expect(instances.sibling).toBe(first.current)
+    expect(console.error).toHaveBeenCalledTimes(1)
+    expect(console.error.mock.calls[0][0]).toContain('can only share one `PanZoom`')
+  })
+})
@@ -0,0 +1,340 @@
+// @flow
+import * as React from 'react'
+import warning from 'warning'
+import { usePanZoomContext, usePanZoomTransform, useZoomLimits } from './PanZoomContext'
+import type PanZoom from './PanZoom'
+
+export type ControlsTheme = {
+  color: string,
+  background: string,
+  border: string,
+  // border between the buttons of a group
+  separator: string,
+  borderRadius: number,
+  buttonSize: number,
+  iconSize: number,
+  fontSize: number,
+}
+
+export const defaultTheme: ControlsTheme = {
+  color: '#333',
+  background: 'white',
+  border: '2px solid rgba(0, 0, 0, 0.2)',
+  separator: '1px solid #ccc',
+  borderRadius: 4,
+  buttonSize: 30,
+  iconSize: 22,
+  fontSize: 14,
+}
+
+type CommonProps = {
+  theme?: $Shape<ControlsTheme>,
+  className?: string,
+  style?: { [string]: mixed },
+}
+
+// Material icons paths, drawn in a 24x24 box
+const icons = {
+  zoomIn: 'M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z',
+  zoomOut: 'M19 13H5v-2h14v2z',
+  up: 'M7.41 15.41L12 10.83l4.59 4.58L18 14l-6-6-6 6z',
+  down: 'M7.41 8.59L12 13.17l4.59-4.58L18 10l-6 6-6-6 1.41-1.41z',
+  left: 'M15.41 16.59L10.83 12l4.58-4.59L14 6l-6 6 6 6 1.41-1.41z',
+  right: 'M8.59 16.59L13.17 12 8.59 7.41 10 6l6 6-6 6-1.41-1.41z',
+  rotate: 'M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z',
+  center: 'M5 15H3v4c0 1.1.9 2 2 2h4v-2H5v-4zM5 5h4V3H5c-1.1 0-2 .9-2 2v4h2V5zm14-2h-4v2h4v4h2V5c0-1.1-.9-2-2-2zm0 16h-4v2h4c1.1 0 2-.9 2-2v-4h-2v4zM12 8c-2.21 0-4 1.79-4 4s1.79 4 4 4 4-1.79 4-4-1.79-4-4-4zm0 6c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2z',
+  reset: 'M12 6v3l4-4-4-4v3c-4.42 0-8 3.58-8 8 0 1.57.46 3.03 1.24 4.26L6.7 14.8c-.45-.83-.7-1.79-.7-2.8 0-3.31 2.69-6 6-6zm6.76 1.74L17.3 9.2c.44.84.7 1.79.7 2.8 0 3.31-2.69 6-6 6v-3l-4 4 4 4v-3c4.42 0 8-3.58 8-8 0-1.57-.46-3.03-1.24-4.26z',
+}
+
+// The slider needs finite bounds when minZoom or maxZoom are not set
+const DEFAULT_SLIDER_MIN_ZOOM = 0.1
+const DEFAULT_SLIDER_MAX_ZOOM = 10
+const SLIDER_STEPS = 1000
+
+const getTheme = (theme?: $Shape<ControlsTheme>): ControlsTheme => ({ ...defaultTheme, ...theme })
+
+const getGroupStyle = (theme: ControlsTheme) => ({
+  display: 'inline-flex',
+  flexDirection: 'column',
+  border: theme.border,
+  borderRadius: theme.borderRadius,
+  overflow: 'hidden',
+  backgroundColor: theme.background,
+})
+
+// Instance of the PanZoomProvider the controls are rendered in
+const usePanZoomInstance = (): ?PanZoom => {
+  const { panZoom, store } = usePanZoomContext()
+  if (process.env.NODE_ENV !== 'production') {
+    warning(store, 'PanZoom controls have to be rendered inside a `PanZoomProvider`.')
+  }
+  return panZoom
+}
+
+const getScale = transform => transform.scale
+
+type ControlButtonProps = {
+  theme: ControlsTheme,
+  label: string,
+  icon: string,
+  iconStyle?: { [string]: mixed },
+  onClick: () => mixed,
+  disabled: boolean,
+  separated?: boolean,
+}
+
+const ControlButton = ({ theme, label, icon, iconStyle, onClick, disabled, separated }: ControlButtonProps) => (
+  <button
+    type="button"
+    className="react-easy-panzoom-control"
+    aria-label={label}
+    title={label}
+    disabled={disabled}
+    onClick={onClick}
+    style={{
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      width: theme.buttonSize,
+      height: theme.buttonSize,
+      padding: 0,
+      border: 0,
+      borderTop: separated ? theme.separator : 0,
+      backgroundColor: 'transparent',
+      color: theme.color,
+      cursor: disabled ? 'default' : 'pointer',
+      opacity: disabled ? 0.5 : 1,
+    }}
+  >
+    <svg width={theme.iconSize} height={theme.iconSize} viewBox="0 0 24 24" aria-hidden="true" focusable="false" style={iconStyle}>
+      <path d={icon} fill="currentColor" />
+    </svg>
+  </button>
+)
+
+type ZoomControlsProps = CommonProps & {
+  labels?: { zoomIn?: string, zoomOut?: string },
+}
+
+export const ZoomControls = ({ theme, labels = {}, className, style }: ZoomControlsProps) => {
+  const panZoom = usePanZoomInstance()
+  const currentTheme = getTheme(theme)
+
+  return (
+    <div role="group" className={className} style={{ ...getGroupStyle(currentTheme), ...style }}>
+      <ControlButton
+        theme={currentTheme}
+        label={labels.zoomIn || 'Zoom in'}
+        icon={icons.zoomIn}
+        disabled={!panZoom}
+        onClick={() => panZoom && panZoom.zoomIn()}
+      />
+      <ControlButton
+        theme={currentTheme}
+        label={labels.zoomOut || 'Zoom out'}
+        icon={icons.zoomOut}
+        disabled={!panZoom}
+        onClick={() => panZoom && panZoom.zoomOut()}
+        separated
+      />
+    </div>
+  )
+}
+
+type RotationControlsProps = CommonProps & {
+  // in degrees
+  angle?: number,
+  labels?: { clockwise?: string, counterClockwise?: string },
+}
+
+export const RotationControls = ({ theme, angle = 90, labels = {}, className, style }: RotationControlsProps) => {
+  const panZoom = usePanZoomInstance()
+  const currentTheme = getTheme(theme)
+
+  // rotate the view in place
+  const rotateBy = (delta: number) => {
+    if (panZoom) {
+      panZoom.rotateAround(panZoom.controller.getContainerCenter(), prevAngle => prevAngle + delta)
+    }
+  }
+
+  return (
+    <div role="group" className={className} style={{ ...getGroupStyle(currentTheme), ...style }}>
+      <ControlButton
+        theme={currentTheme}
+        label={labels.clockwise || 'Rotate clockwise'}
+        icon={icons.rotate}
+        disabled={!panZoom}
+        onClick={() => rotateBy(angle)}
+      />
+      <ControlButton
+        theme={currentTheme}
+        label={labels.counterClockwise || 'Rotate counterclockwise'}
+        icon={icons.rotate}
+        iconStyle={{ transform: 'scale(-1, 1)' }}
+        disabled={!panZoom}
+        onClick={() => rotateBy(-angle)}
+        separated
+      />
+    </div>
+  )
+}
+
+type ResetControlsProps = CommonProps & {
+  labels?: { center?: string, reset?: string },
+}
+
+export const ResetControls = ({ theme, labels = {}, className, style }: ResetControlsProps) => {
+  const panZoom = usePanZoomInstance()
+  const currentTheme = getTheme(theme)
+
+  return (
+    <div role="group" className={className} style={{ ...getGroupStyle(currentTheme), ...style }}>
+      <ControlButton
+        theme={currentTheme}
+        label={labels.center || 'Fit to view'}
+        icon={icons.center}
+        disabled={!panZoom}
+        onClick={() => panZoom && panZoom.autoCenter(panZoom.props.autoCenterZoomLevel)}
+      />
+      <ControlButton
+        theme={currentTheme}
+        label={labels.reset || 'Reset view'}
+        icon={icons.reset}
+        disabled={!panZoom}
+        onClick={() => panZoom && panZoom.reset()}
+        separated
+      />
+    </div>
+  )
+}
+
+type PadControlsProps = CommonProps & {
+  // ratio of the container moved by each click
+  moveSpeedRatio?: number,
+  labels?: { up?: string, down?: string, left?: string, right?: string },
+}
+
+export const PadControls = ({ theme, moveSpeedRatio, labels = {}, className, style }: PadControlsProps) => {
+  const panZoom = usePanZoomInstance()
+  const currentTheme = getTheme(theme)
+  const { buttonSize } = currentTheme
+
+  const directions = [
+    { name: 'up', label: labels.up || 'Move up', x: 0, y: -1, column: 2, row: 1 },
+    { name: 'left', label: labels.left || 'Move left', x: -1, y: 0, column: 1, row: 2 },
+    { name: 'right', label: labels.right || 'Move right', x: 1, y: 0, column: 3, row: 2 },
+    { name: 'down', label: labels.down || 'Move down', x: 0, y: 1, column: 2, row: 3 },
+  ]
+
+  return (
+    <div
+      role="group"
+      className={className}
+      style={{
+        display: 'inline-grid',
+        gridTemplateColumns: `repeat(3, ${buttonSize + 4}px)`,
+        gridTemplateRows: `repeat(3, ${buttonSize + 4}px)`,
+        ...style,
+      }}
+    >
+      {directions.map(direction => (
+        <div
+          key={direction.name}
+          style={{
+            ...getGroupStyle(currentTheme),
+            gridColumn: direction.column,
+            gridRow: direction.row,
+          }}
+        >
+          <ControlButton
+            theme={currentTheme}
+            label={direction.label}
+            icon={icons[direction.name]}
+            disabled={!panZoom}
+            onClick={() => panZoom && panZoom.moveByRatio(direction.x, direction.y, moveSpeedRatio)}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+const formatZoom = (scale: number) => `${Math.round(scale * 100)}%`
+
+type ZoomReadoutProps = CommonProps & {
+  format?: (scale: number) => string,
+}
+
+export const ZoomReadout = ({ theme, format = formatZoom, className, style }: ZoomReadoutProps) => {
+  const scale = usePanZoomTransform(getScale)
+  const currentTheme = getTheme(theme)
+
+  return (
+    <span
+      className={className}
+      style={{
+        display: 'inline-block',
+        color: currentTheme.color,
+        fontSize: currentTheme.fontSize,
+        fontVariantNumeric: 'tabular-nums',
+        ...style,
+      }}
+    >
+      {format(scale)}
+    </span>
+  )
+}
+
+type ZoomSliderProps = CommonProps & {
+  // bounds of the slider, minZoom and maxZoom by default
+  min?: number,
+  max?: number,
+  label?: string,
+  vertical?: boolean,
+}
+
+const isValidZoom = (zoom: ?number): boolean %checks => typeof zoom === 'number' && zoom > 0 && isFinite(zoom)
+
+// The slider position follows the logarithm of the scale, 50% being as far from 100% as 200% is
+export const ZoomSlider = ({ theme, min, max, label = 'Zoom', vertical, className, style }: ZoomSliderProps) => {
+  const panZoom = usePanZoomInstance()
+  const scale = usePanZoomTransform(getScale)
+  const zoomLimits = useZoomLimits()
+  const currentTheme = getTheme(theme)
+
+  const minZoom = isValidZoom(min) ? min : (isValidZoom(zoomLimits.minZoom) ? zoomLimits.minZoom : DEFAULT_SLIDER_MIN_ZOOM)
+  const maxZoom = isValidZoom(max) ? max : (isValidZoom(zoomLimits.maxZoom) ? zoomLimits.maxZoom : DEFAULT_SLIDER_MAX_ZOOM)
+  const range = Math.log(maxZoom) - Math.log(minZoom)
+
+  const value = range > 0
+    ? Math.round(Math.min(1, Math.max(0, (Math.log(scale) - Math.log(minZoom)) / range)) * SLIDER_STEPS)
+    : 0
+
+  const onChange = (e: SyntheticInputEvent<HTMLInputElement>) => {
+    if (panZoom) {
+      panZoom.setZoom(Math.exp(Math.log(minZoom) + Number(e.target.value) / SLIDER_STEPS * range))
+    }
+  }
+
+  return (
+    <input
+      type="range"
+      className={className}
+      min={0}
+      max={SLIDER_STEPS}
+      value={value}
+      onChange={onChange}
+      disabled={!panZoom}
+      aria-label={label}
+      aria-valuetext={formatZoom(scale)}
+      aria-orientation={vertical ? 'vertical' : 'horizontal'}
+      style={{
+        accentColor: currentTheme.color,
+        // vertical range inputs are not standard yet
+        ...(vertical ? { writingMode: 'bt-lr', WebkitAppearance: 'slider-vertical', width: currentTheme.buttonSize } : {}),
+        ...style,
+      }}
+    />
+  )
+}
@@ -0,0 +1,121 @@
+import * as React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import PanZoom from './PanZoom'
+import { PanZoomProvider } from './PanZoomContext'
+import { ZoomControls, RotationControls, ResetControls, PadControls, ZoomReadout, ZoomSlider } from './PanZoomControls'
+
+describe('PanZoom controls', () => {
+  let root = null
+
+  beforeEach(() => {
+    root = document.createElement('div')
+    document.body.appendChild(root)
+
+    // jsdom does not compute the layout
+    jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockImplementation(() => ({ left: 0, top: 0, width: 400, height: 200 }))
+  })
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(root)
+    document.body.removeChild(root)
+    jest.restoreAllMocks()
+  })
+
+  const render = (controls, props = {}) => {
+    const ref = React.createRef()
+    act(() => {
+      ReactDOM.render(
+        <PanZoomProvider>
+          <PanZoom ref={ref} minZoom={0.5} maxZoom={8} {...props} />
+          {controls}
+        </PanZoomProvider>,
+        root,
+      )
+    })
+    return ref
+  }
+
+  const click = (label) => {
+    act(() => {
+      root.querySelector(`button[aria-label="${label}"]`).click()
+    })
+  }
+
+  it('Should zoom with the zoom buttons and show the zoom level', () => {
+    const ref = render(<><ZoomControls /><ZoomReadout /></>, { zoomSteps: [0.5, 1, 2, 4] })
+
+    click('Zoom in')
+    expect(ref.current.getTransformState().scale).toBe(2)
+    expect(root.querySelector('span').textContent).toBe('200%')
+
+    click('Zoom out')
+    click('Zoom out')
+    expect(root.querySelector('span').textContent).toBe('50%')
+  })
+
+  it('Should rotate the view in place', () => {
+    const ref = render(<RotationControls angle={45} labels={{ clockwise: 'Tourner' }} />)
+
+    click('Tourner')
+    expect(ref.current.getTransformState().rotate).toBe(45)
+    click('Rotate counterclockwise')
+    expect(ref.current.getTransformState().rotate).toBe(0)
+  })
+
+  it('Should move and reset the view', () => {
+    const ref = render(<><PadControls moveSpeedRatio={0.1} /><ResetControls /></>)
+
+    click('Move right')
+    click('Move down')
+    expect(ref.current.getTransformState()).toEqual({ x: 20, y: 20, scale: 1, rotate: 0 })
+
+    click('Reset view')
+    expect(ref.current.getTransformState()).toEqual({ x: 0, y: 0, scale: 1, rotate: 0 })
+  })
+
+  it('Should bind the zoom slider to minZoom and maxZoom', () => {
+    const ref = render(<ZoomSlider />)
+    const slider = root.querySelector('input')
+
+    // 1 is a third of the way from 0.5 to 8 on a logarithmic scale
+    expect(slider.value).toBe('250')
+    expect(slider.getAttribute('aria-valuetext')).toBe('100%')
+
+    act(() => {
+      ref.current.setZoom(8)
+    })
+    expect(slider.value).toBe('1000')
+  })
+
+  it('Should follow the changes of minZoom and maxZoom', () => {
+    // only the PanZoom is rendered again when the limits change
+    let setMaxZoom = null
+    const Plan = () => {
+      const [maxZoom, setState] = React.useState(8)
+      setMaxZoom = setState
+      return <PanZoom minZoom={0.5} maxZoom={maxZoom} />
+    }
+    act(() => {
+      ReactDOM.render(<PanZoomProvider><Plan /><ZoomSlider /></PanZoomProvider>, root)
+    })
+    const slider = root.querySelector('input')
+    expect(slider.value).toBe('250')
+
+    // 1 is halfway from 0.5 to 2
+    act(() => {
+      setMaxZoom(2)
+    })
+    expect(slider.value).toBe('500')
+  })
+
+  it('Should disable the controls outside of a provider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    act(() => {
+      ReactDOM.render(<ZoomControls />, root)
+    })
+
+    expect(root.querySelector('button').disabled).toBe(true)
+    expect(console.error).toHaveBeenCalled()
+  })
+})
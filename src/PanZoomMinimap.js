@@ -0,0 +1,334 @@
+// @flow
+import * as React from 'react'
+import * as Viewport from './core/viewport'
+import { PanZoomContext, createPanZoomStore } from './PanZoomContext'
+import type { PanZoomStore } from './PanZoomContext'
+import type { TransformState, Point, Viewport as ViewportData, PointerCaptureTarget } from './core/types'
+import type PanZoom from './PanZoom'
+
+type Props = {
+  // PanZoom instance the minimap navigates
+  panZoomRef: { current: ?PanZoom },
+  // Image of the whole content, the children of the PanZoom instance are rendered again when omitted
+  thumbnail?: string,
+  // Rendered instead of the children of the PanZoom instance
+  children?: React.Node,
+  width: number,
+  viewportStyle?: { [string]: mixed },
+  className?: string,
+  style?: { [string]: mixed },
+}
+
+type State = {
+  mounted: boolean,
+}
+
+// Pointer being dragged, offset from the content point at the center of the view
+type Drag = {
+  pointerId: number,
+  offset: Point,
+}
+
+const defaultViewportStyle = {
+  fill: 'rgba(77, 144, 254, 0.15)',
+  stroke: '#4d90fe',
+  strokeWidth: 2,
+}
+
+class PanZoomMinimap extends React.Component<Props, State> {
+  static defaultProps = {
+    width: 200,
+  }
+
+  root = React.createRef<HTMLDivElement>()
+
+  polygon = React.createRef<Element>()
+
+  drag: ?Drag = null
+
+  // the preview is not transformed: its context consumers, e.g. the overlay items,
+  // see the initial transform instead of the one of the main view
+  previewStore: PanZoomStore = createPanZoomStore()
+
+  // instance the minimap listens to
+  subscribedPanZoom: ?PanZoom = null
+  unsubscribe: ?() => void = null
+  resizeObserver: ?ResizeObserver = null
+
+  state: State = {
+    mounted: false,
+  }
+
+  componentDidMount(): void {
+    const root = this.root.current
+    if (root) {
+      // the wheel listener has to be active to prevent the page from scrolling
+      root.addEventListener('wheel', this.onWheel, { passive: false })
+    }
+    // the PanZoom instance is only available once mounted
+    this.setState({ mounted: true })
+  }
+
+  componentDidUpdate(): void {
+    // the instance can be rendered after the minimap
+    this.subscribe(this.state.mounted ? this.getPanZoom() : null)
+  }
+
+  componentWillUnmount(): void {
+    const root = this.root.current
+    if (root) {
+      root.removeEventListener('wheel', this.onWheel, { passive: false })
+    }
+    this.subscribe(null)
+  }
+
+  subscribe = (panZoom: ?PanZoom) => {
+    if (panZoom === this.subscribedPanZoom) {
+      return
+    }
+
+    if (this.unsubscribe) {
+      this.unsubscribe()
+      this.unsubscribe = null
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect()
+      this.resizeObserver = null
+    }
+
+    this.subscribedPanZoom = panZoom
+    if (!panZoom) {
+      return
+    }
+
+    // the view rectangle follows every frame, including the pans with noStateUpdate, without rendering the preview again
+    this.unsubscribe = panZoom.controller.subscribe(this.drawViewport)
+
+    // the size of the preview follows the size of the content
+    if (typeof window.ResizeObserver === 'function') {
+      const resizeObserver = new window.ResizeObserver(this.onResize)
+      const { container, dragContainer } = panZoom.controller
+      if (container) {
+        resizeObserver.observe(container)
+      }
+      if (dragContainer) {
+        resizeObserver.observe(dragContainer)
+      }
+      this.resizeObserver = resizeObserver
+    }
+  }
+
+  onResize = () => {
+    this.forceUpdate()
+  }
+
+  drawViewport = (transform: TransformState) => {
+    const panZoom = this.subscribedPanZoom
+    const polygon = this.polygon.current
+    if (panZoom && polygon) {
+      polygon.setAttribute('points', this.getViewportPoints(panZoom.controller.getViewport(), transform))
+    }
+  }
+
+  getPanZoom = (): ?PanZoom => this.props.panZoomRef.current
+
+  // The rotated container, drawn in the content coordinates
+  getViewportPoints = (viewport: ViewportData, transform: TransformState): string => {
+    const minimapScale = this.getMinimapScale(viewport)
+    return [
+      { x: 0, y: 0 },
+      { x: viewport.containerWidth, y: 0 },
+      { x: viewport.containerWidth, y: viewport.containerHeight },
+      { x: 0, y: viewport.containerHeight },
+    ]
+      .map(corner => Viewport.getContentPoint(viewport, transform, corner))
+      .map(point => `${point.x * minimapScale},${point.y * minimapScale}`)
+      .join(' ')
+  }
+
+  // Ratio between the minimap and the content sizes
+  getMinimapScale = (viewport: ViewportData): number => {
+    return viewport.contentWidth > 0 ? this.props.width / viewport.contentWidth : 0
+  }
+
+  // Point of the content under the pointer
+  getContentPoint = (e: { clientX: number, clientY: number }, viewport: ViewportData): ?Point => {
+    const root = this.root.current
+    const minimapScale = this.getMinimapScale(viewport)
+    if (!root || !minimapScale) {
+      return null
+    }
+
+    const rect = root.getBoundingClientRect()
+    return {
+      x: (e.clientX - rect.left) / minimapScale,
+      y: (e.clientY - rect.top) / minimapScale,
+    }
+  }
+
+  getViewCenter = (viewport: ViewportData): Point => ({
+    x: viewport.containerWidth / 2,
+    y: viewport.containerHeight / 2,
+  })
+
+  // Move the main view so that the content point is displayed at the center of the container
+  centerOn = (panZoom: PanZoom, point: Point) => {
+    const viewport = panZoom.controller.getViewport()
+    const center = this.getViewCenter(viewport)
+    const screenPoint = Viewport.getContainerPoint(viewport, panZoom.controller.getCurrentState(), point)
+    panZoom.moveBy(center.x - screenPoint.x, center.y - screenPoint.y, false)
+  }
+
+  onPointerDown = (e: SyntheticPointerEvent<HTMLDivElement>) => {
+    const panZoom = this.getPanZoom()
+    if (!panZoom || panZoom.controller.getOptions().disabled || e.button !== 0) {
+      return
+    }
+
+    const viewport = panZoom.controller.getViewport()
+    const point = this.getContentPoint(e, viewport)
+    if (!point) {
+      return
+    }
+
+    e.preventDefault()
+    const transform = panZoom.controller.getCurrentState()
+    const screenPoint = Viewport.getContainerPoint(viewport, transform, point)
+    const isInView = screenPoint.x >= 0 && screenPoint.x <= viewport.containerWidth
+      && screenPoint.y >= 0 && screenPoint.y <= viewport.containerHeight
+
+    // the view rectangle is dragged from where it was grabbed, a click outside of it centers the view there
+    let offset = { x: 0, y: 0 }
+    if (isInView) {
+      const center = Viewport.getContentPoint(viewport, transform, this.getViewCenter(viewport))
+      offset = { x: center.x - point.x, y: center.y - point.y }
+    } else {
+      this.centerOn(panZoom, point)
+    }
+
+    this.drag = { pointerId: e.pointerId, offset }
+    const target: PointerCaptureTarget = (e.currentTarget: Object)
+    if (target.setPointerCapture) {
+      target.setPointerCapture(e.pointerId)
+    }
+  }
+
+  onPointerMove = (e: SyntheticPointerEvent<HTMLDivElement>) => {
+    const { drag } = this
+    const panZoom = this.getPanZoom()
+    if (!drag || !panZoom || e.pointerId !== drag.pointerId) {
+      return
+    }
+
+    const point = this.getContentPoint(e, panZoom.controller.getViewport())
+    if (point) {
+      this.centerOn(panZoom, { x: point.x + drag.offset.x, y: point.y + drag.offset.y })
+    }
+  }
+
+  onPointerUp = (e: SyntheticPointerEvent<HTMLDivElement>) => {
+    const { drag } = this
+    if (drag && e.pointerId === drag.pointerId) {
+      this.drag = null
+    }
+  }
+
+  // Zoom the main view around its center
+  onWheel = (e: WheelEvent) => {
+    const panZoom = this.getPanZoom()
+    if (!panZoom || panZoom.controller.getOptions().disabled) {
+      return
+    }
+
+    e.preventDefault()
+    const viewport = panZoom.controller.getViewport()
+    const delta = Viewport.normalizeWheelDelta(e.deltaY, e.deltaMode, viewport.containerHeight)
+    const ratio = Viewport.getWheelScaleMultiplier(delta, panZoom.controller.getOptions().zoomSpeed)
+    const center = this.getViewCenter(viewport)
+    panZoom.zoomAbs(center.x, center.y, panZoom.controller.getCurrentState().scale * ratio)
+  }
+
+  renderPreview(viewport: ViewportData, panZoom: PanZoom) {
+    const { thumbnail, children, width } = this.props
+    const minimapScale = this.getMinimapScale(viewport)
+
+    if (thumbnail) {
+      return (
+        <img
+          src={thumbnail}
+          alt=""
+          draggable={false}
+          style={{ display: 'block', width, height: viewport.contentHeight * minimapScale }}
+        />
+      )
+    }
+
+    return (
+      <div
+        style={{
+          width: viewport.contentWidth,
+          height: viewport.contentHeight,
+          transform: `scale(${minimapScale})`,
+          transformOrigin: '0 0',
+          pointerEvents: 'none',
+        }}
+      >
+        <PanZoomContext.Provider value={this.previewStore}>
+          {children !== undefined ? children : panZoom.props.children}
+        </PanZoomContext.Provider>
+      </div>
+    )
+  }
+
+  render() {
+    const { width, viewportStyle, className, style } = this.props
+    const panZoom = this.state.mounted ? this.getPanZoom() : null
+
+    let content = null
+    let height = 0
+    if (panZoom) {
+      const viewport = panZoom.controller.getViewport()
+      const points = this.getViewportPoints(viewport, panZoom.controller.getCurrentState())
+      height = viewport.contentHeight * this.getMinimapScale(viewport)
+
+      content = (
+        <>
+          {this.renderPreview(viewport, panZoom)}
+          <svg
+            width={width}
+            height={height}
+            style={{ position: 'absolute', left: 0, top: 0, overflow: 'hidden' }}
+          >
+            <polygon ref={this.polygon} points={points} style={{ ...defaultViewportStyle, ...viewportStyle }} />
+          </svg>
+        </>
+      )
+    }
+
+    return (
+      <div
+        ref={this.root}
+        className={className}
+        // the preview repeats the content of the main view
+        aria-hidden="true"
+        onPointerDown={this.onPointerDown}
+        onPointerMove={this.onPointerMove}
+        onPointerUp={this.onPointerUp}
+        onPointerCancel={this.onPointerUp}
+        style={{
+          position: 'relative',
+          width,
+          height,
+          overflow: 'hidden',
+          touchAction: 'none',
+          cursor: 'pointer',
+          ...style,
+        }}
+      >
+        {content}
+      </div>
+    )
+  }
+}
+
+export default PanZoomMinimap
@@ -0,0 +1,181 @@
+import * as React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import PanZoom from './PanZoom'
+import PanZoomMinimap from './PanZoomMinimap'
+import { PanZoomOverlay, OverlayItem } from './PanZoomOverlay'
+import { pointerEvent, createRoot, removeRoot, mockLayout, mockClientSize, restoreLayout, mockAnimationFrame } from '../test/helpers'
+
+describe('PanZoomMinimap', () => {
+  let root = null
+
+  beforeEach(() => {
+    root = createRoot()
+    // 400x200 containers with a 200x100 content
+    mockLayout({ width: 200, height: 100 })
+  })
+
+  afterEach(() => {
+    removeRoot(root)
+    jest.restoreAllMocks()
+    restoreLayout()
+    delete window.ResizeObserver
+  })
+
+  const render = (minimapProps = {}) => {
+    const ref = React.createRef()
+    act(() => {
+      ReactDOM.render(
+        <>
+          <PanZoom ref={ref}>
+            <span id="content">content</span>
+          </PanZoom>
+          <PanZoomMinimap panZoomRef={ref} width={100} {...minimapProps} />
+        </>,
+        root,
+      )
+    })
+    return ref
+  }
+
+  it('Should render a preview of the content and the view rectangle', () => {
+    render()
+    const minimap = root.lastChild
+
+    expect(minimap.style.height).toBe('50px')
+    expect(minimap.querySelectorAll('#content')).toHaveLength(1)
+    expect(minimap.querySelector('polygon').getAttribute('points')).toBe('0,0 200,0 200,100 0,100')
+  })
+
+  it('Should render the thumbnail instead of the content', () => {
+    render({ thumbnail: 'plan.png' })
+    const minimap = root.lastChild
+
+    expect(minimap.querySelector('img').getAttribute('src')).toBe('plan.png')
+    expect(minimap.querySelector('#content')).toBe(null)
+  })
+
+  it('Should follow the transform', () => {
+    const ref = render()
+    act(() => {
+      ref.current.setTransformState({ x: -200, y: -100, scale: 2 })
+    })
+
+    expect(root.lastChild.querySelector('polygon').getAttribute('points')).toBe('50,25 150,25 150,75 50,75')
+  })
+
+  it('Should follow the pan frames not dispatched to the state', () => {
+    mockAnimationFrame()
+    const ref = React.createRef()
+    act(() => {
+      ReactDOM.render(
+        <>
+          <PanZoom ref={ref} noStateUpdate />
+          <PanZoomMinimap panZoomRef={ref} width={100} />
+        </>,
+        root,
+      )
+    })
+
+    pointerEvent(root.firstChild, 'pointerdown', 0, 0)
+    pointerEvent(root.firstChild, 'pointermove', -100, -50)
+
+    expect(ref.current.getTransformState().x).toBe(0)
+    expect(root.lastChild.querySelector('polygon').getAttribute('points')).toBe('50,25 250,25 250,125 50,125')
+    pointerEvent(root.firstChild, 'pointerup', -100, -50)
+  })
+
+  it('Should follow the size of the content', () => {
+    const observers = []
+    window.ResizeObserver = class {
+      constructor(callback) {
+        this.callback = callback
+        observers.push(this)
+      }
+      observe() {}
+      disconnect() {}
+    }
+
+    render()
+    mockClientSize({ width: 200, height: 200 })
+    // the last observer is the one of the minimap
+    act(() => {
+      observers[observers.length - 1].callback([])
+    })
+
+    expect(root.lastChild.style.height).toBe('100px')
+  })
+
+  it('Should drag the view rectangle', () => {
+    const ref = render()
+    const minimap = root.lastChild
+
+    pointerEvent(minimap, 'pointerdown', 50, 25)
+    expect(ref.current.getTransformState()).toEqual({ x: 0, y: 0, scale: 1, rotate: 0 })
+
+    pointerEvent(minimap, 'pointermove', 60, 30)
+    expect(ref.current.getTransformState()).toEqual({ x: -20, y: -10, scale: 1, rotate: 0 })
+
+    pointerEvent(minimap, 'pointerup', 60, 30)
+    pointerEvent(minimap, 'pointermove', 80, 30)
+    expect(ref.current.getTransformState()).toEqual({ x: -20, y: -10, scale: 1, rotate: 0 })
+  })
+
+  it('Should center the view where the minimap is clicked outside of the rectangle', () => {
+    const ref = render()
+    act(() => {
+      ref.current.setTransformState({ x: 0, y: 0, scale: 4 })
+    })
+
+    // content point (150, 80), displayed at (600, 320) in the container
+    pointerEvent(root.lastChild, 'pointerdown', 75, 40)
+    expect(ref.current.getTransformState()).toEqual({ x: -400, y: -220, scale: 4, rotate: 0 })
+  })
+  it('Should ignore the input when the PanZoom is disabled', () => {
+    const ref = React.createRef()
+    act(() => {
+      ReactDOM.render(
+        <>
+          <PanZoom ref={ref} disabled />
+          <PanZoomMinimap panZoomRef={ref} width={100} />
+        </>,
+        root,
+      )
+    })
+    const minimap = root.lastChild
+
+    pointerEvent(minimap, 'pointerdown', 75, 40)
+    pointerEvent(minimap, 'pointermove', 80, 40)
+    const wheel = new WheelEvent('wheel', { deltaY: -100, cancelable: true })
+    minimap.dispatchEvent(wheel)
+
+    expect(ref.current.getTransformState()).toEqual({ x: 0, y: 0, scale: 1, rotate: 0 })
+    expect(wheel.defaultPrevented).toBe(false)
+  })
+
+  it('Should render the overlay items of the preview without the transform of the main view', () => {
+    jest.spyOn(console, 'error')
+    const ref = React.createRef()
+    act(() => {
+      ReactDOM.render(
+        <>
+          <PanZoom ref={ref}>
+            <PanZoomOverlay>
+              <OverlayItem x={120} y={80}>pin</OverlayItem>
+            </PanZoomOverlay>
+          </PanZoom>
+          <PanZoomMinimap panZoomRef={ref} width={100} />
+        </>,
+        root,
+      )
+    })
+    act(() => {
+      ref.current.setTransformState({ x: 0, y: 0, scale: 2, rotate: 90 })
+    })
+
+    const [item, previewItem] = root.querySelectorAll('[style*="left: 120px"]')
+    expect(item.style.transform).toBe('rotate(-90deg) scale(0.5) translate(-50%, -50%)')
+    expect(previewItem.style.transform).toBe('rotate(0deg) scale(1) translate(-50%, -50%)')
+    expect(console.error).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,135 @@
+// @flow
+import * as React from 'react'
+import warning from 'warning'
+import { PanZoomContext } from './PanZoomContext'
+import { defaultState } from './core/PanZoomController'
+import type { TransformState, Point } from './core/types'
+
+type OverlayProps = {
+  children?: React.Node,
+  className?: string,
+  style?: { [string]: mixed },
+}
+
+// Layer of markers positioned in the content coordinates, to be rendered in the PanZoom children.
+// It has no size so that it does not change the content size used by the bounds
+export const PanZoomOverlay = ({ children, className, style }: OverlayProps) => (
+  <div
+    className={className}
+    style={{
+      position: 'absolute',
+      left: 0,
+      top: 0,
+      width: 0,
+      height: 0,
+      overflow: 'visible',
+      // the pan goes through the layer, the markers still receive the pointer events
+      pointerEvents: 'none',
+      ...style,
+    }}
+  >
+    {children}
+  </div>
+)
+
+type ItemProps = {
+  // Position in the content coordinates
+  x: number,
+  y: number,
+  // Point of the item placed at the position, as a fraction of its size, e.g. { x: 0.5, y: 1 } for a pin
+  anchor: Point,
+  // Follow the zoom and the rotation of the content instead of keeping the screen size and orientation
+  scaleWithZoom: boolean,
+  rotateWithContent: boolean,
+  children?: React.Node,
+  className?: string,
+  style?: { [string]: mixed },
+}
+
+const defaultAnchor = { x: 0.5, y: 0.5 }
+
+// The transform of the content is undone around the anchor, which stays at the position
+export const getOverlayItemTransform = (
+  transform: TransformState,
+  anchor: Point,
+  scaleWithZoom: boolean = false,
+  rotateWithContent: boolean = false,
+): string => {
+  const rotate = rotateWithContent ? 0 : -transform.rotate
+  const scale = scaleWithZoom || !transform.scale ? 1 : 1 / transform.scale
+  return `rotate(${rotate}deg) scale(${scale}) translate(${-anchor.x * 100}%, ${-anchor.y * 100}%)`
+}
+
+export class OverlayItem extends React.Component<ItemProps> {
+  static contextType = PanZoomContext
+
+  static defaultProps = {
+    anchor: defaultAnchor,
+    scaleWithZoom: false,
+    rotateWithContent: false,
+  }
+
+  item = React.createRef<HTMLDivElement>()
+
+  unsubscribe: ?() => void = null
+
+  componentDidMount(): void {
+    const store = this.context
+    if (process.env.NODE_ENV !== 'production') {
+      warning(store, 'OverlayItem has to be rendered inside a `PanZoom`.')
+    }
+    if (store) {
+      // the style is written on every frame displayed, without rendering the item again
+      this.unsubscribe = store.subscribe(this.applyTransform, true)
+      this.applyTransform()
+    }
+  }
+
+  componentWillUnmount(): void {
+    if (this.unsubscribe) {
+      this.unsubscribe()
+      this.unsubscribe = null
+    }
+  }
+
+  getTransform = (): string => {
+    const { anchor, scaleWithZoom, rotateWithContent } = this.props
+    const transform = this.context ? this.context.getLiveTransform() : defaultState
+    return getOverlayItemTransform(transform, anchor, scaleWithZoom, rotateWithContent)
+  }
+
+  applyTransform = () => {
+    const item = this.item.current
+    if (!item) {
+      return
+    }
+
+    // the content transition is suspended during the gestures and the animations, the items follow it
+    const panZoom = this.context ? this.context.getInstance() : null
+    const dragContainer = panZoom ? panZoom.controller.dragContainer : null
+    item.style.transition = dragContainer ? dragContainer.style.transition : ''
+    item.style.transform = this.getTransform()
+  }
+
+  render() {
+    const { x, y, children, className, style } = this.props
+    return (
+      <div
+        ref={this.item}
+        className={className}
+        style={{
+          position: 'absolute',
+          left: x,
+          top: y,
+          transformOrigin: '0 0',
+          transform: this.getTransform(),
+          pointerEvents: 'auto',
+          whiteSpace: 'nowrap',
+          ...style,
+        }}
+      >
+        {children}
+      </div>
+    )
+  }
+}
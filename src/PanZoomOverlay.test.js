@@ -0,0 +1,79 @@
+import * as React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import PanZoom from './PanZoom'
+import { PanZoomOverlay, OverlayItem, getOverlayItemTransform } from './PanZoomOverlay'
+import { pointerEvent, createRoot, removeRoot, mockLayout, mockAnimationFrame } from '../test/helpers'
+
+describe('PanZoomOverlay', () => {
+  let root = null
+
+  beforeEach(() => {
+    root = createRoot()
+    mockLayout()
+    mockAnimationFrame()
+  })
+
+  afterEach(() => {
+    removeRoot(root)
+    jest.restoreAllMocks()
+  })
+
+  const render = (itemProps = {}) => {
+    const ref = React.createRef()
+    const renderItem = jest.fn(() => 'pin')
+    const Pin = () => renderItem()
+    act(() => {
+      ReactDOM.render(
+        <PanZoom ref={ref}>
+          <PanZoomOverlay>
+            <OverlayItem x={120} y={80} {...itemProps}><Pin /></OverlayItem>
+          </PanZoomOverlay>
+        </PanZoom>,
+        root,
+      )
+    })
+    return { ref, item: root.querySelector('[style*="left: 120px"]'), renderItem }
+  }
+
+  it('Should undo the transform of the content around the anchor', () => {
+    const transform = { x: 10, y: 20, scale: 2, rotate: 90 }
+
+    expect(getOverlayItemTransform(transform, { x: 0.5, y: 1 })).toBe('rotate(-90deg) scale(0.5) translate(-50%, -100%)')
+    expect(getOverlayItemTransform(transform, { x: 0, y: 0 }, true, true)).toBe('rotate(0deg) scale(1) translate(0%, 0%)')
+  })
+
+  it('Should position the items in the content coordinates', () => {
+    const { item } = render({ anchor: { x: 0.5, y: 1 } })
+
+    expect(item.style.top).toBe('80px')
+    expect(item.style.transform).toBe('rotate(0deg) scale(1) translate(-50%, -100%)')
+  })
+
+  it('Should keep the screen size and orientation of the items', () => {
+    const { ref, item } = render()
+
+    act(() => {
+      ref.current.setZoom(4)
+      ref.current.rotate(45)
+    })
+
+    expect(item.style.transform).toBe('rotate(-45deg) scale(0.25) translate(-50%, -50%)')
+  })
+
+  it('Should follow the pan frames without rendering the items again', () => {
+    const { ref, item, renderItem } = render()
+    act(() => {
+      ref.current.setZoom(2)
+    })
+    const renders = renderItem.mock.calls.length
+    item.style.transform = ''
+
+    const container = root.firstChild
+    pointerEvent(container, 'pointerdown', 0, 0)
+    pointerEvent(container, 'pointermove', 10, 0)
+
+    expect(item.style.transform).toBe('rotate(0deg) scale(0.5) translate(-50%, -50%)')
+    expect(renderItem).toHaveBeenCalledTimes(renders)
+  })
+})
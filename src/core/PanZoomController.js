@@ -0,0 +1,1631 @@
+// @flow
+import warning from 'warning'
+import { getTransformMatrixString } from './matrix'
+import { getEasing } from './easing'
+import * as Viewport from './viewport'
+import { getKeyAction, normalizeKeyMap } from './keymap'
+import type { KeyActions } from './keymap'
+import { getPersistStorage, parseTransform } from './persistence'
+import type { PanZoomOptions, TransformState, AnimationOptions, Viewport as ViewportData, Point, Rect, FitOptions, KeyAction, KeyMap, WheelAction, PointerCaptureTarget } from './types'
+
+// The controller does not own the transform, it reads it from its host
+// and proposes new values through setState. This lets the class component
+// and the hook store the transform the way they need (state, props, ...)
+export type PanZoomHost = {
+  getOptions: () => $Shape<PanZoomOptions>,
+  getState: () => TransformState,
+  setState: (nextState: $Shape<TransformState>, callback?: () => void) => void,
+}
+
+type ControllerConfig = {
+  // Listen to the input events directly on the container element
+  // instead of relying on the host to forward them
+  bindEvents?: boolean,
+}
+
+export const defaultOptions = {
+  zoomSpeed: 1,
+  doubleZoomSpeed: 1.75,
+  disabled: false,
+  minZoom: 0,
+  maxZoom: Infinity,
+  noStateUpdate: true,
+  inertiaFriction: 0.92,
+  rubberBandStiffness: 170,
+  maxOverscroll: 100,
+  pinchRotateThreshold: 15,
+  boundaryRatioVertical: 0.8,
+  boundaryRatioHorizontal: 0.8,
+  boundaryMode: 'ratio',
+  disableDoubleClickZoom: false,
+  disableScrollZoom: false,
+  wheelMode: 'zoom',
+  resizePolicy: 'keep-top-left',
+  preventPan: () => false,
+}
+
+export const defaultAnimationOptions = {
+  duration: 300,
+  easing: 'easeInOut',
+}
+
+type Inertia = {
+  frame: ?AnimationFrameID,
+  velocity: { x: number, y: number },
+  time: number,
+  event: PointerEvent,
+}
+
+type VelocitySample = {
+  x: number,
+  y: number,
+  time: number,
+}
+
+// Only the pointer positions of the last milliseconds are used to compute the release velocity
+const VELOCITY_SAMPLE_DURATION = 100
+// Minimum velocity, in px/ms, to start or keep the inertia going
+const MIN_INERTIA_VELOCITY = 0.02
+// Part of the velocity kept when bouncing on the bounding box
+const INERTIA_BOUNCE_DAMPING = 0.3
+
+type SpringBack = {
+  frame: ?AnimationFrameID,
+  time: number,
+  event: PointerEvent,
+}
+
+// Distance, in px, under which the spring back is considered done
+const SPRING_REST_DISTANCE = 0.5
+
+type KeyMotion = {
+  frame: ?AnimationFrameID,
+  time: number,
+  startTime: number,
+  restoreTransition: () => void,
+}
+
+// Duration, in ms, to move by one keyboard step (5% of the container) while a key is held
+const KEY_STEP_DURATION = 100
+// The keyboard motion accelerates up to KEY_MAX_ACCELERATION times its initial speed in KEY_ACCELERATION_DURATION ms
+const KEY_ACCELERATION_DURATION = 1000
+const KEY_MAX_ACCELERATION = 3
+// Ratio of the container moved by one keyboard step
+const KEY_MOVE_SPEED_RATIO = 0.05
+
+type Animation = {
+  frame: ?AnimationFrameID,
+  state: TransformState,
+  resolve: (finished: boolean) => void,
+  restoreTransition: () => void,
+}
+
+// Delay without wheel events after which the wheel zoom snaps to the nearest zoom step
+const WHEEL_SNAP_DELAY = 200
+
+// Delay before announcing the transform, so that consecutive actions are announced once
+const ANNOUNCEMENT_DELAY = 300
+const DEFAULT_FOCUS_INDICATOR = '2px solid #4d90fe'
+
+// Delay the transform has to stay unchanged before being persisted
+const PERSIST_DELAY = 300
+
+export const defaultAriaLabel = 'Pan and zoom area'
+
+// Hide the live region from the screen while keeping it readable by screen readers
+export const visuallyHiddenStyle = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: '0',
+  border: '0',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+}
+
+export const defaultAnnouncement = ({ scale, rotate }: TransformState) => {
+  const angle = ((Math.round(rotate) % 360) + 360) % 360
+  return `Zoom ${Math.round(scale * 100)}%, rotation ${angle} degrees`
+}
+
+const now = () => window.performance && window.performance.now ? window.performance.now() : Date.now()
+
+const interpolate = (from: number, to: number, progress: number) => from + (to - from) * progress
+
+export const defaultState: TransformState = {
+  x: 0,
+  y: 0,
+  scale: 1,
+  rotate: 0,
+}
+
+export const isSameTransform = (a: TransformState, b: TransformState): boolean => {
+  return a.x === b.x && a.y === b.y && a.scale === b.scale && a.rotate === b.rotate
+}
+
+const preventDefault = (e) => {
+  e.preventDefault()
+}
+
+class PanZoomController {
+  host: PanZoomHost
+  bindEvents: boolean
+
+  container: ?HTMLElement = null
+  dragContainer: ?HTMLElement = null
+
+  pointerPos = {
+    x: 0,
+    y: 0
+  }
+  pointers: Map<number, { x: number, y: number }> = new Map()
+  panStartTriggered = false
+
+  pinchZoomLength = 0
+  pinchAngle = 0
+  // rotation of the fingers since the gesture started, applied once it passes the threshold
+  pinchRotation = 0
+  pinchRotating = false
+
+  prevPanPosition = {
+    x: 0,
+    y: 0,
+  }
+
+  frameAnimation = null
+
+  transformMatrixString = `matrix(1, 0, 0, 1, 0, 0)`
+
+  animation: ?Animation = null
+  inertia: ?Inertia = null
+  springBack: ?SpringBack = null
+  // continuous actions of the keys being held, by KeyboardEvent.code
+  heldKeys: Map<string, Object> = new Map()
+  keyMotion: ?KeyMotion = null
+  // keyMap option normalized once, instead of on every keydown
+  normalizedKeyMap: { keyMap: ?KeyMap, actions: ?KeyActions } = { keyMap: null, actions: null }
+
+  liveRegion: ?HTMLElement = null
+  // the live region is created by the controller when it binds the events itself
+  ownLiveRegion: ?HTMLElement = null
+  // touch-action of the container before the controller binds the events, restored when they are removed
+  touchAction: ?string = null
+  announcementTimeout: ?TimeoutID = null
+  wheelSnapTimeout: ?TimeoutID = null
+  persistTimeout: ?TimeoutID = null
+  // transform waiting for the persist delay
+  pendingPersistedState: ?TransformState = null
+  blurredOutline: ?{ outline: string, outlineOffset: string } = null
+  velocitySamples: Array<VelocitySample> = []
+
+  // notified of every transform displayed, including the frames not dispatched to the host because of noStateUpdate
+  transformListeners: Set<(state: TransformState) => void> = new Set()
+
+  resizeObserver: ?ResizeObserver = null
+  // size of the container and the content the transform was last adapted to
+  observedViewport: ?ViewportData = null
+
+  constructor(host: PanZoomHost, config?: ControllerConfig = {}) {
+    this.host = host
+    this.bindEvents = !!config.bindEvents
+    this.checkKeyMap()
+  }
+
+  getOptions = (): PanZoomOptions => {
+    return { ...defaultOptions, ...this.host.getOptions() }
+  }
+
+  // Can be used as a ref callback
+  setContainer = (container: ?HTMLElement) => {
+    if (container === this.container) {
+      return
+    }
+
+    if (this.container) {
+      this.removeContainerListeners(this.container)
+    }
+
+    this.container = container
+
+    if (container) {
+      this.addContainerListeners(container)
+    }
+    this.observeResize()
+  }
+
+  // Can be used as a ref callback
+  setDragContainer = (dragContainer: ?HTMLElement) => {
+    if (dragContainer === this.dragContainer) {
+      return
+    }
+
+    this.dragContainer = dragContainer
+    this.observeResize()
+  }
+
+  // Follow the size of both the container and the content, e.g. when an image of the content loads
+  observeResize = () => {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect()
+      this.resizeObserver = null
+    }
+
+    const { container, dragContainer } = this
+    if (!container || !dragContainer || typeof window.ResizeObserver === 'undefined') {
+      return
+    }
+
+    this.observedViewport = this.getViewport()
+    const resizeObserver = new window.ResizeObserver(this.onResize)
+    resizeObserver.observe(container)
+    resizeObserver.observe(dragContainer)
+    this.resizeObserver = resizeObserver
+  }
+
+  onResize = () => {
+    const { observedViewport } = this
+    const viewport = this.getViewport()
+    this.observedViewport = viewport
+    if (!observedViewport || (
+      observedViewport.containerWidth === viewport.containerWidth
+      && observedViewport.containerHeight === viewport.containerHeight
+      && observedViewport.contentWidth === viewport.contentWidth
+      && observedViewport.contentHeight === viewport.contentHeight
+    )) {
+      return
+    }
+
+    // the gestures and the animations follow the new size on their next frame
+    if (this.panStartTriggered || this.pointers.size || this.animation || this.inertia || this.springBack) {
+      return
+    }
+
+    const options = this.getOptions()
+    const { resizePolicy = 'keep-top-left', autoCenterZoomLevel } = options
+    const state = this.host.getState()
+    const newState = Viewport.resize(observedViewport, viewport, options, state, resizePolicy, autoCenterZoomLevel)
+    if (newState.x === state.x && newState.y === state.y && newState.scale === state.scale && newState.rotate === state.rotate) {
+      return
+    }
+
+    const restoreTransition = this.suspendTransition()
+    this.host.setState(newState, restoreTransition)
+  }
+
+  destroy = () => {
+    this.stopMotion()
+    this.stopKeyMotion()
+    clearTimeout(this.announcementTimeout)
+    clearTimeout(this.wheelSnapTimeout)
+    // the last transform is saved even when destroyed during the persist delay
+    this.flushPersistedState()
+    this.cleanPointerListeners()
+    this.releaseTextSelection()
+    this.setContainer(null)
+    this.setDragContainer(null)
+  }
+
+  addContainerListeners = (container: HTMLElement) => {
+    container.addEventListener('wheel', this.onWheel, { passive: false })
+
+    if (this.bindEvents) {
+      // enable keydown events on the container
+      if (!this.getOptions().disableKeyInteraction && !container.hasAttribute('tabindex')) {
+        container.setAttribute('tabindex', '0')
+      }
+
+      // let the pointer events handle touch gestures instead of the browser
+      this.touchAction = container.style.touchAction
+      container.style.touchAction = 'none'
+
+      if (!container.hasAttribute('role')) {
+        container.setAttribute('role', 'application')
+      }
+      if (!container.hasAttribute('aria-label') && !container.hasAttribute('aria-labelledby')) {
+        container.setAttribute('aria-label', defaultAriaLabel)
+      }
+      if (!this.liveRegion) {
+        const liveRegion = document.createElement('div')
+        liveRegion.setAttribute('aria-live', 'polite')
+        liveRegion.setAttribute('aria-atomic', 'true')
+        Object.assign(liveRegion.style, visuallyHiddenStyle)
+        container.appendChild(liveRegion)
+        this.liveRegion = liveRegion
+        this.ownLiveRegion = liveRegion
+      }
+
+      container.addEventListener('dblclick', this.onDoubleClick)
+      container.addEventListener('pointerdown', this.onPointerDown)
+      container.addEventListener('keydown', this.onKeyDown)
+      container.addEventListener('keyup', this.onKeyUp)
+      container.addEventListener('focus', this.onFocus)
+      container.addEventListener('blur', this.onBlur)
+    }
+  }
+
+  removeContainerListeners = (container: HTMLElement) => {
+    container.removeEventListener('wheel', this.onWheel, { passive: false })
+
+    if (this.bindEvents) {
+      container.removeEventListener('dblclick', this.onDoubleClick)
+      container.removeEventListener('pointerdown', this.onPointerDown)
+      container.removeEventListener('keydown', this.onKeyDown)
+      container.removeEventListener('keyup', this.onKeyUp)
+      container.removeEventListener('focus', this.onFocus)
+      container.removeEventListener('blur', this.onBlur)
+
+      const { touchAction } = this
+      if (touchAction !== null && touchAction !== undefined) {
+        container.style.touchAction = touchAction
+        this.touchAction = null
+      }
+
+      const { ownLiveRegion } = this
+      if (ownLiveRegion) {
+        ownLiveRegion.remove()
+        this.liveRegion = null
+        this.ownLiveRegion = null
+      }
+    }
+  }
+
+  onDoubleClick = (e: MouseEvent) => {
+    const { disableDoubleClickZoom, doubleZoomSpeed } = this.getOptions()
+
+    if (disableDoubleClickZoom) {
+      return
+    }
+
+    this.stopMotion()
+    const offset = this.getOffset(e)
+    this.zoomTo(offset.x, offset.y, doubleZoomSpeed)
+  }
+
+  onPointerDown = (e: PointerEvent) => {
+    const { preventPan, disabled } = this.getOptions()
+
+    if (disabled) {
+      return
+    }
+
+    // only pan with the main button of the mouse
+    if (e.pointerType === 'mouse' && e.button !== 0) {
+      return
+    }
+
+    const offset = this.getOffset(e)
+    const isFirstPointer = this.pointers.size === 0
+
+    // check if there is nothing preventing the pan
+    if (isFirstPointer && preventPan && preventPan(e, offset.x, offset.y)) {
+      return
+    }
+
+    if (isFirstPointer) {
+      this.stopMotion()
+      this.setPointerListeners()
+
+      // Prevent text selection
+      this.captureTextSelection()
+    }
+
+    const previousPointerCount = this.pointers.size
+    this.pointers.set(e.pointerId, offset)
+    this.startGesture(previousPointerCount)
+  }
+
+  onPointerMove = (e: PointerEvent) => {
+    if (!this.pointers.has(e.pointerId)) {
+      return
+    }
+
+    this.pointers.set(e.pointerId, this.getOffset(e))
+
+    if (this.pointers.size === 1) {
+      this.pan(e)
+    } else {
+      this.pinch()
+    }
+  }
+
+  onPointerUp = (e: PointerEvent) => {
+    if (!this.pointers.has(e.pointerId)) {
+      return
+    }
+
+    // the pointer capture is released automatically on pointerup and pointercancel
+    const previousPointerCount = this.pointers.size
+    this.pointers.delete(e.pointerId)
+
+    if (this.pointers.size > 0) {
+      // the gesture goes on with the remaining pointers
+      this.startGesture(previousPointerCount)
+      return
+    }
+
+    this.cleanPointerListeners()
+    this.releaseTextSelection()
+
+    // the pan ends once the content is back in the bounding box or the inertia stops
+    if (this.startSpringBack(e) || this.startInertia(e)) {
+      return
+    }
+
+    // if using noStateUpdate we still need to set the new values in the state
+    this.dispatchStateUpdateIfNeeded()
+    this.triggerOnPanEnd(e)
+  }
+
+  // The reference position of the gesture is reset each time a pointer is added or removed
+  startGesture = (previousPointerCount: number) => {
+    this.cancelFrameAnimations()
+
+    // a pan with noStateUpdate has to be saved before pinching
+    if (previousPointerCount === 1 && this.panStartTriggered) {
+      this.dispatchStateUpdateIfNeeded()
+    }
+
+    // keep the current pan value in memory to allow noStateUpdate panning
+    const { x, y } = this.host.getState()
+    this.prevPanPosition = { x, y }
+
+    const { center, spread, angle } = this.getPointersGeometry()
+    this.pointerPos = center
+    this.pinchZoomLength = spread
+    this.pinchAngle = angle
+    this.pinchRotation = 0
+    this.pinchRotating = false
+    this.resetVelocity(center)
+  }
+
+  pan = (e: PointerEvent) => {
+    const { noStateUpdate, enableBoundingBox, enableRubberBand } = this.getOptions()
+    const { center } = this.getPointersGeometry()
+    const dx = center.x - this.pointerPos.x
+    const dy = center.y - this.pointerPos.y
+
+    if (dx === 0 && dy === 0) {
+      return
+    }
+
+    this.capturePointers()
+    this.triggerOnPanStart(e)
+
+    this.pointerPos = center
+    this.trackVelocity(center)
+
+    if (enableBoundingBox && enableRubberBand) {
+      this.overscrollBy(dx, dy, noStateUpdate)
+    } else {
+      this.moveBy(dx, dy, noStateUpdate)
+    }
+    this.triggerOnPan(e)
+  }
+
+  // Keep receiving the events of the pointers even outside of the container once the gesture moves.
+  // Capturing them on pointerdown would send the clicks to the container instead of the content
+  capturePointers = () => {
+    const container: PointerCaptureTarget = (this.getContainer(): Object)
+    const { setPointerCapture, hasPointerCapture } = container
+    if (!setPointerCapture) {
+      return
+    }
+
+    this.pointers.forEach((position, pointerId) => {
+      if (!hasPointerCapture || !hasPointerCapture.call(container, pointerId)) {
+        setPointerCapture.call(container, pointerId)
+      }
+    })
+  }
+
+  // Pan with the center of the fingers, zoom with their distance and rotate with their angle, all at once
+  pinch = () => {
+    const { realPinch, enablePinchRotate, pinchRotateThreshold } = this.getOptions()
+    const { center, spread, angle } = this.getPointersGeometry()
+    this.capturePointers()
+
+    let scaleMultiplier = 1
+
+    if (realPinch) {
+      scaleMultiplier = this.pinchZoomLength > 0 ? spread / this.pinchZoomLength : 1
+    } else {
+      let delta = 0
+      if (spread < this.pinchZoomLength) {
+        delta = 1
+      } else if (spread > this.pinchZoomLength) {
+        delta = -1
+      }
+      scaleMultiplier = this.getScaleMultiplier(delta)
+    }
+
+    let rotation = 0
+    if (enablePinchRotate) {
+      // keep the angle difference in ]-180, 180] as atan2 wraps around
+      let angleDelta = angle - this.pinchAngle
+      angleDelta -= 360 * Math.round(angleDelta / 360)
+      this.pinchRotation += angleDelta
+
+      if (this.pinchRotating) {
+        rotation = angleDelta
+      } else if (Math.abs(this.pinchRotation) >= pinchRotateThreshold) {
+        // catch up with the fingers once the threshold is passed
+        this.pinchRotating = true
+        rotation = this.pinchRotation
+      }
+    }
+
+    const newState = Viewport.transformAround(this.getViewport(), this.getOptions(), this.host.getState(), this.pointerPos, center, scaleMultiplier, rotation)
+    this.host.setState(newState)
+
+    this.pointerPos = center
+    this.pinchZoomLength = spread
+    this.pinchAngle = angle
+  }
+
+  // Center of the active pointers, their average distance to it
+  // and the angle, in degrees, of the line going through the first two pointers
+  getPointersGeometry = () => {
+    const positions = Array.from(this.pointers.values())
+    const count = positions.length || 1
+    const center = {
+      x: positions.reduce((sum, position) => sum + position.x, 0) / count,
+      y: positions.reduce((sum, position) => sum + position.y, 0) / count,
+    }
+    const spread = positions.reduce((sum, position) => sum + Math.hypot(position.x - center.x, position.y - center.y), 0) / count
+
+    const angle = positions.length > 1
+      ? Math.atan2(positions[1].y - positions[0].y, positions[1].x - positions[0].x) * 180 / Math.PI
+      : 0
+
+    return { center, spread, angle }
+  }
+
+  getWheelAction = (e: WheelEvent): WheelAction => {
+    const { disableScrollZoom, wheelMode } = this.getOptions()
+
+    let action = 'zoom'
+    if (typeof wheelMode === 'function') {
+      action = wheelMode(e)
+    } else if (wheelMode === 'none') {
+      action = 'none'
+    } else if (wheelMode === 'pan') {
+      // browsers report the trackpad pinch as a wheel event with the ctrl key pressed
+      action = e.ctrlKey || e.metaKey ? 'zoom' : 'pan'
+    }
+
+    // disableScrollZoom leaves the wheel pan enabled
+    return action === 'zoom' && disableScrollZoom ? 'none' : action
+  }
+
+  onWheel = (e: WheelEvent) => {
+    const { disabled, zoomSpeed } = this.getOptions()
+    if (disabled) {
+      return
+    }
+
+    const action = this.getWheelAction(e)
+    if (action === 'none') {
+      return
+    }
+
+    this.stopMotion()
+    const containerRect = this.getContainer().getBoundingClientRect()
+    let dx = Viewport.normalizeWheelDelta(e.deltaX, e.deltaMode, containerRect.width)
+    let dy = Viewport.normalizeWheelDelta(e.deltaY, e.deltaMode, containerRect.height)
+
+    if (action === 'pan') {
+      // a mouse wheel only scrolls vertically, some browsers already swap the deltas with the shift key
+      if (e.shiftKey && dx === 0) {
+        dx = dy
+        dy = 0
+      }
+      this.moveBy(-dx, -dy, false)
+    } else {
+      const scale = Viewport.getWheelScaleMultiplier(dy, zoomSpeed, e.ctrlKey)
+      const offset = this.getOffset(e)
+      this.zoomTo(offset.x, offset.y, scale)
+      this.scheduleWheelSnap(offset)
+    }
+    e.preventDefault()
+  }
+
+  scheduleWheelSnap = (anchor: Point) => {
+    const { snapWheelZoom, zoomSteps } = this.getOptions()
+    if (!snapWheelZoom || !zoomSteps || !zoomSteps.length) {
+      return
+    }
+
+    clearTimeout(this.wheelSnapTimeout)
+    this.wheelSnapTimeout = setTimeout(() => {
+      this.wheelSnapTimeout = null
+      const step = Viewport.getNearestZoomStep(zoomSteps, this.host.getState().scale)
+      if (step !== null && step !== undefined) {
+        this.setZoom(step, anchor, true)
+      }
+    }, WHEEL_SNAP_DELAY)
+  }
+
+  onKeyDown = (e: KeyboardEvent) => {
+    const { keyMap, keyMapping, disableKeyInteraction } = this.getOptions()
+
+    if (disableKeyInteraction) {
+      return
+    }
+
+    const action = getKeyAction(e, this.getKeyActions(keyMap), keyMapping)
+    if (!action) {
+      return
+    }
+
+    e.preventDefault()
+    e.stopPropagation()
+
+    // pan and zoom keep going smoothly while the key is held, instead of following the key repeat
+    const continuousAction = this.getContinuousKeyAction(action)
+    if (continuousAction) {
+      // a repeated keydown also starts the motion when the key was pressed before the container got the focus
+      const isHeld = this.heldKeys.has(e.code)
+      this.heldKeys.set(e.code, continuousAction)
+      if (isHeld) {
+        return
+      }
+
+      this.stopMotion()
+      this.runKeyAction(action, e)
+      this.startKeyMotion()
+      return
+    }
+
+    this.stopMotion()
+    this.runKeyAction(action, e)
+    this.scheduleAnnouncement()
+  }
+
+  // Normalized once per keyMap option
+  getKeyActions = (keyMap: ?KeyMap): ?KeyActions => {
+    if (keyMap !== this.normalizedKeyMap.keyMap) {
+      this.normalizedKeyMap = { keyMap, actions: keyMap ? normalizeKeyMap(keyMap) : null }
+    }
+    return this.normalizedKeyMap.actions
+  }
+
+  // Called by the hosts when the options are set, so that the invalid entries of the keyMap
+  // are reported right away rather than on the first key press
+  checkKeyMap = () => {
+    this.getKeyActions(this.getOptions().keyMap)
+  }
+
+  onKeyUp = (e: KeyboardEvent) => {
+    this.heldKeys.delete(e.code)
+    if (this.heldKeys.size === 0) {
+      this.stopKeyMotion()
+    }
+  }
+
+  onFocus = () => {
+    const { focusIndicator } = this.getOptions()
+    const { container } = this
+    if (!focusIndicator || !container || this.blurredOutline || !this.isFocusVisible(container)) {
+      return
+    }
+
+    this.blurredOutline = {
+      outline: container.style.outline,
+      outlineOffset: container.style.outlineOffset,
+    }
+    container.style.outline = typeof focusIndicator === 'string' ? focusIndicator : DEFAULT_FOCUS_INDICATOR
+    // draw the outline inside the container, which usually hides its overflow
+    container.style.outlineOffset = '-2px'
+  }
+
+  // The keyup events are lost once the container loses the focus
+  onBlur = () => {
+    this.stopKeyMotion()
+
+    const { container, blurredOutline } = this
+    if (container && blurredOutline) {
+      container.style.outline = blurredOutline.outline
+      container.style.outlineOffset = blurredOutline.outlineOffset
+    }
+    this.blurredOutline = null
+  }
+
+  // Only show the focus indicator for the keyboard focus when the browser can tell
+  isFocusVisible = (element: HTMLElement) => {
+    try {
+      return element.matches(':focus-visible')
+    } catch (e) {
+      return true
+    }
+  }
+
+  setLiveRegion = (liveRegion: ?HTMLElement) => {
+    this.liveRegion = liveRegion
+  }
+
+  // Announce the transform to screen readers once the keyboard actions are over
+  scheduleAnnouncement = () => {
+    if (this.getOptions().disableAnnouncements) {
+      return
+    }
+
+    clearTimeout(this.announcementTimeout)
+    this.announcementTimeout = setTimeout(this.announce, ANNOUNCEMENT_DELAY)
+  }
+
+  announce = () => {
+    this.announcementTimeout = null
+    const { liveRegion } = this
+    if (!liveRegion) {
+      return
+    }
+
+    const { getAnnouncement = defaultAnnouncement } = this.getOptions()
+    liveRegion.textContent = getAnnouncement(this.host.getState())
+  }
+
+  prefersReducedMotion = (): boolean => {
+    const { reduceMotion } = this.getOptions()
+    if (reduceMotion !== undefined) {
+      return reduceMotion
+    }
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches)
+  }
+
+  getContinuousKeyAction = (keyAction: KeyAction): ?Object => {
+    const action: Object = typeof keyAction === 'string' ? { action: keyAction } : keyAction
+    if (action.action === 'panBy') {
+      return action
+    }
+    // the zoom steps are followed one at a time, with the key repeat
+    const { zoomSteps } = this.getOptions()
+    if ((action.action === 'zoomIn' || action.action === 'zoomOut') && !(zoomSteps && zoomSteps.length)) {
+      return action
+    }
+    return null
+  }
+
+  // Move and zoom on every frame according to the held keys, accelerating over time
+  startKeyMotion = () => {
+    if (this.keyMotion) {
+      return
+    }
+
+    const keyMotion: KeyMotion = {
+      frame: null,
+      time: now(),
+      startTime: now(),
+      // the CSS transition would lag behind the frame updates
+      restoreTransition: this.suspendTransition(),
+    }
+
+    const step = () => {
+      if (this.keyMotion !== keyMotion) {
+        return
+      }
+
+      const time = now()
+      // avoid jumps when frames are skipped, e.g. in a background tab
+      const elapsed = Math.min(time - keyMotion.time, 64)
+      keyMotion.time = time
+      const acceleration = Math.min(KEY_MAX_ACCELERATION, 1 + (time - keyMotion.startTime) / KEY_ACCELERATION_DURATION)
+      const steps = elapsed / KEY_STEP_DURATION * acceleration
+
+      const { zoomSpeed } = this.getOptions()
+      let x = 0
+      let y = 0
+      let zoom = 0
+      this.heldKeys.forEach(action => {
+        if (action.action === 'panBy') {
+          x += action.x || 0
+          y += action.y || 0
+        } else {
+          zoom += (action.action === 'zoomIn' ? -1 : 1) * (action.speed || zoomSpeed)
+        }
+      })
+
+      const { width, height } = this.getContainer().getBoundingClientRect()
+
+      if (x || y) {
+        // a diagonal is as fast as the fastest of its directions
+        const ratio = Math.max(Math.abs(x), Math.abs(y)) / Math.hypot(x, y)
+        const distance = Math.min(width, height) * KEY_MOVE_SPEED_RATIO * steps * ratio
+        this.moveBy(x * distance, y * distance, false)
+      }
+
+      if (zoom) {
+        const scaleMultiplier = Math.pow(this.getScaleMultiplier(zoom, Math.abs(zoom)), steps)
+        this.zoomTo(width / 2, height / 2, scaleMultiplier)
+      }
+
+      keyMotion.frame = window.requestAnimationFrame(step)
+    }
+
+    this.keyMotion = keyMotion
+    keyMotion.frame = window.requestAnimationFrame(step)
+  }
+
+  stopKeyMotion = () => {
+    this.heldKeys.clear()
+
+    const { keyMotion } = this
+    if (!keyMotion) {
+      return
+    }
+
+    window.cancelAnimationFrame(keyMotion.frame)
+    this.keyMotion = null
+    keyMotion.restoreTransition()
+    this.scheduleAnnouncement()
+  }
+
+  runKeyAction = (keyAction: KeyAction, e: KeyboardEvent) => {
+    if (typeof keyAction === 'function') {
+      keyAction(e, this)
+      return
+    }
+
+    // the string shorthand is the same as an action without parameters
+    const action: Object = typeof keyAction === 'string' ? { action: keyAction } : keyAction
+    const container = this.getContainer()
+    const { width, height } = container.getBoundingClientRect()
+
+    switch (action.action) {
+      case 'panBy': {
+        const offset = Math.min(width, height) * KEY_MOVE_SPEED_RATIO
+        this.moveBy(offset * (action.x || 0), offset * (action.y || 0), false)
+        break
+      }
+      case 'zoomIn':
+        this.zoomIn(action.speed)
+        break
+      case 'zoomOut':
+        this.zoomOut(action.speed)
+        break
+      case 'rotate': {
+        // rotate the view in place
+        this.rotateAround({ x: width / 2, y: height / 2 }, prevAngle => prevAngle + action.angle)
+        break
+      }
+      case 'reset':
+        this.reset()
+        break
+      case 'autoCenter':
+        this.autoCenter(action.zoomLevel)
+        break
+      default:
+        if (process.env.NODE_ENV !== 'production') {
+          warning(false, '[PanZoom]: unknown key action "%s".', String(action.action))
+        }
+    }
+  }
+
+  resetVelocity = (position: { x: number, y: number }) => {
+    this.velocitySamples = [{ x: position.x, y: position.y, time: now() }]
+  }
+
+  trackVelocity = (position: { x: number, y: number }) => {
+    const time = now()
+    this.velocitySamples = this.velocitySamples
+      .filter(sample => time - sample.time <= VELOCITY_SAMPLE_DURATION)
+      .concat({ x: position.x, y: position.y, time })
+  }
+
+  // Velocity of the pointer when it is released, in px/ms
+  getReleaseVelocity = () => {
+    const samples = this.velocitySamples
+    const time = now()
+    const first = samples[0]
+    const last = samples[samples.length - 1]
+
+    // no velocity if the pointer did not move or stayed still before being released
+    if (samples.length < 2 || time - last.time > VELOCITY_SAMPLE_DURATION / 2 || last.time === first.time) {
+      return { x: 0, y: 0 }
+    }
+
+    return {
+      x: (last.x - first.x) / (last.time - first.time),
+      y: (last.y - first.y) / (last.time - first.time),
+    }
+  }
+
+  // Keep the view moving after the pan is released, slowing down with inertiaFriction.
+  // Returns true if the inertia started
+  startInertia = (e: PointerEvent): boolean => {
+    const { enableInertia } = this.getOptions()
+    const velocity = this.getReleaseVelocity()
+    this.velocitySamples = []
+
+    if (!enableInertia || !this.panStartTriggered || Math.hypot(velocity.x, velocity.y) < MIN_INERTIA_VELOCITY || this.prefersReducedMotion()) {
+      return false
+    }
+
+    const inertia: Inertia = {
+      frame: null,
+      velocity,
+      time: now(),
+      event: e,
+    }
+
+    const step = () => {
+      // the inertia might have been stopped since this frame was requested
+      if (this.inertia !== inertia) {
+        return
+      }
+
+      const { inertiaFriction, enableBoundingBox, noStateUpdate } = this.getOptions()
+      const time = now()
+      const elapsed = time - inertia.time
+      inertia.time = time
+
+      // friction is expressed for a 60fps frame
+      const decay = Math.pow(inertiaFriction, elapsed / 16)
+      const vx = inertia.velocity.x * decay
+      const vy = inertia.velocity.y * decay
+      const dx = vx * elapsed
+      const dy = vy * elapsed
+      const moved = this.moveBy(dx, dy, noStateUpdate)
+
+      inertia.velocity = { x: vx, y: vy }
+
+      // bounce softly when hitting the bounding box
+      if (enableBoundingBox) {
+        if (Math.abs(moved.dx - dx) > 0.5) {
+          inertia.velocity.x = -vx * INERTIA_BOUNCE_DAMPING
+        }
+        if (Math.abs(moved.dy - dy) > 0.5) {
+          inertia.velocity.y = -vy * INERTIA_BOUNCE_DAMPING
+        }
+      }
+
+      if (Math.hypot(inertia.velocity.x, inertia.velocity.y) < MIN_INERTIA_VELOCITY) {
+        this.stopInertia()
+        return
+      }
+
+      inertia.frame = window.requestAnimationFrame(step)
+    }
+
+    this.inertia = inertia
+    inertia.frame = window.requestAnimationFrame(step)
+    return true
+  }
+
+  stopInertia = () => {
+    const { inertia } = this
+    if (!inertia) {
+      return
+    }
+
+    window.cancelAnimationFrame(inertia.frame)
+    this.inertia = null
+
+    this.dispatchStateUpdateIfNeeded()
+    this.triggerOnPanEnd(inertia.event)
+  }
+
+  // Pan past the bounding box with a resistance growing with the overscroll
+  overscrollBy = (dx: number, dy: number, noStateUpdate?: boolean) => {
+    const position = Viewport.overscrollBy(this.getViewport(), this.getOptions(), this.getCurrentState(), dx, dy)
+    this.setPanPosition(position, noStateUpdate)
+  }
+
+  // Display a pan position, only on the DOM when using noStateUpdate
+  setPanPosition = (position: Point, noStateUpdate?: boolean) => {
+    if (noStateUpdate) {
+      this.prevPanPosition = { x: position.x, y: position.y }
+      this.transformMatrixString = this.getTransformString({ ...this.host.getState(), ...this.prevPanPosition })
+      if (!this.frameAnimation) {
+        this.frameAnimation = window.requestAnimationFrame(this.applyTransform)
+      }
+      return
+    }
+
+    this.host.setState({ x: position.x, y: position.y })
+  }
+
+  // Bring the content back in the bounding box after an overscroll, with a critically damped spring.
+  // Returns true if the content was overscrolled
+  startSpringBack = (e: PointerEvent): boolean => {
+    const options = this.getOptions()
+    if (!options.enableBoundingBox || !options.enableRubberBand) {
+      return false
+    }
+
+    const state = this.getCurrentState()
+    const target = Viewport.applyBounds(this.getViewport(), options, state)
+    const offset = { x: state.x - target.x, y: state.y - target.y }
+    const distance = Math.hypot(offset.x, offset.y)
+    if (distance < SPRING_REST_DISTANCE) {
+      return false
+    }
+
+    if (this.prefersReducedMotion()) {
+      this.setPanPosition(target, options.noStateUpdate)
+      return false
+    }
+
+    this.velocitySamples = []
+    const springBack: SpringBack = {
+      frame: null,
+      time: now(),
+      event: e,
+    }
+
+    const step = () => {
+      // the spring might have been stopped since this frame was requested
+      if (this.springBack !== springBack) {
+        return
+      }
+
+      const { rubberBandStiffness, noStateUpdate } = this.getOptions()
+      const angularFrequency = Math.sqrt(rubberBandStiffness)
+      const elapsed = (now() - springBack.time) / 1000
+      // position of a critically damped spring released without velocity
+      const ratio = (1 + angularFrequency * elapsed) * Math.exp(-angularFrequency * elapsed)
+
+      if (distance * ratio < SPRING_REST_DISTANCE) {
+        this.setPanPosition(target, noStateUpdate)
+        this.stopSpringBack()
+        return
+      }
+
+      this.setPanPosition({
+        x: target.x + offset.x * ratio,
+        y: target.y + offset.y * ratio,
+      }, noStateUpdate)
+      springBack.frame = window.requestAnimationFrame(step)
+    }
+
+    this.springBack = springBack
+    springBack.frame = window.requestAnimationFrame(step)
+    return true
+  }
+
+  stopSpringBack = () => {
+    const { springBack } = this
+    if (!springBack) {
+      return
+    }
+
+    window.cancelAnimationFrame(springBack.frame)
+    this.springBack = null
+
+    this.dispatchStateUpdateIfNeeded()
+    this.triggerOnPanEnd(springBack.event)
+  }
+
+  // Stop everything that moves the view on its own before handling a new user gesture
+  stopMotion = () => {
+    this.stopInertia()
+    this.stopSpringBack()
+    this.stopAnimation()
+  }
+
+  dispatchStateUpdateIfNeeded = () => {
+    const { noStateUpdate } = this.getOptions()
+    if (noStateUpdate) {
+      this.host.setState({ x: this.prevPanPosition.x, y: this.prevPanPosition.y }, this.syncTransform)
+    }
+  }
+
+  // Re-apply the current transform to the DOM, used after noStateUpdate panning
+  // where the transform has been set on the drag container without going through the host
+  syncTransform = () => {
+    const { dragContainer } = this
+    if (!dragContainer) {
+      return
+    }
+    dragContainer.style.transform = this.getTransformString(this.host.getState())
+  }
+
+  setPointerListeners = () => {
+    const container = this.getContainer()
+    container.addEventListener('pointermove', this.onPointerMove)
+    container.addEventListener('pointerup', this.onPointerUp)
+    container.addEventListener('pointercancel', this.onPointerUp)
+  }
+
+  cleanPointerListeners = () => {
+    const { container } = this
+    if (container) {
+      container.removeEventListener('pointermove', this.onPointerMove)
+      container.removeEventListener('pointerup', this.onPointerUp)
+      container.removeEventListener('pointercancel', this.onPointerUp)
+    }
+    this.pointers.clear()
+    this.cancelFrameAnimations()
+  }
+
+  cancelFrameAnimations = () => {
+    if (this.frameAnimation) {
+      window.cancelAnimationFrame(this.frameAnimation)
+      this.frameAnimation = 0
+    }
+  }
+
+  captureTextSelection = () => {
+    window.addEventListener('selectstart', preventDefault)
+  }
+
+  releaseTextSelection = () => {
+    window.removeEventListener('selectstart', preventDefault)
+  }
+
+  triggerOnPanStart = (e: PointerEvent) => {
+    const { onPanStart } = this.getOptions()
+    if (!this.panStartTriggered) {
+      onPanStart && onPanStart(e)
+    }
+    this.panStartTriggered = true
+  }
+
+  triggerOnPan = (e: PointerEvent) => {
+    const { onPan } = this.getOptions()
+    onPan && onPan(e)
+  }
+
+  triggerOnPanEnd = (e: PointerEvent) => {
+    const { onPanEnd } = this.getOptions()
+    this.panStartTriggered = false
+    onPanEnd && onPanEnd(e)
+  }
+
+  getScaleMultiplier = (delta: number, zoomSpeed?: number) => {
+    return Viewport.getScaleMultiplier(delta, zoomSpeed || this.getOptions().zoomSpeed)
+  }
+
+  getContainer = (): HTMLElement => {
+    const { container } = this
+    if (!container) {
+      throw new Error("Could not find container DOM element.")
+    }
+    return container
+  }
+
+  getDragContainer = (): HTMLElement => {
+    const { dragContainer } = this
+    if (!dragContainer) {
+      throw new Error("Could not find dragContainer DOM element.")
+    }
+    return dragContainer
+  }
+
+  // Disable the CSS transition of the content, the returned function restores it
+  suspendTransition = (): (() => void) => {
+    const { dragContainer } = this
+    if (!dragContainer) {
+      return () => {}
+    }
+
+    const transition = dragContainer.style.transition
+    dragContainer.style.transition = "none"
+    return () => {
+      setTimeout(() => {
+        if (this.dragContainer) {
+          this.dragContainer.style.transition = transition
+        }
+      }, 0)
+    }
+  }
+
+  // Animate the view to the target transform through requestAnimationFrame.
+  // The returned promise resolves with true when the animation completes,
+  // or false when it is cancelled by another animation or a user gesture
+  animateTo = (target: $Shape<TransformState>, animationOptions?: AnimationOptions = {}): Promise<boolean> => {
+    this.stopAnimation()
+
+    const { noStateUpdate, onAnimationStart } = this.getOptions()
+    const { easing, ...options } = { ...defaultAnimationOptions, ...animationOptions }
+    // the view jumps to the target on the first frame
+    const duration = this.prefersReducedMotion() ? 0 : options.duration
+    const easingFunction = getEasing(easing)
+    const from = this.host.getState()
+    // the target follows the zoom limits and the bounds, as every other change of the transform
+    const to = Viewport.constrain(this.getViewport(), this.getOptions(), { ...from, ...target })
+
+    return new Promise(resolve => {
+      const restoreTransition = this.suspendTransition()
+      const start = now()
+
+      onAnimationStart && onAnimationStart(to)
+
+      const step = () => {
+        // the animation might have been stopped since this frame was requested
+        if (this.animation !== animation) {
+          return
+        }
+
+        const progress = duration > 0 ? Math.min(1, (now() - start) / duration) : 1
+        if (progress >= 1) {
+          this.endAnimation(to, true)
+          return
+        }
+
+        const easedProgress = easingFunction(progress)
+        animation.state = {
+          x: interpolate(from.x, to.x, easedProgress),
+          y: interpolate(from.y, to.y, easedProgress),
+          scale: interpolate(from.scale, to.scale, easedProgress),
+          rotate: interpolate(from.rotate, to.rotate, easedProgress),
+        }
+
+        // follow noStateUpdate to only update the state once the animation is over
+        const { dragContainer } = this
+        if (noStateUpdate) {
+          if (dragContainer) {
+            dragContainer.style.transform = this.getTransformString(animation.state)
+          }
+          this.notifyTransform()
+        } else {
+          this.host.setState(animation.state)
+        }
+        animation.frame = window.requestAnimationFrame(step)
+      }
+
+      const animation: Animation = {
+        frame: null,
+        state: from,
+        resolve,
+        restoreTransition,
+      }
+      this.animation = animation
+      animation.frame = window.requestAnimationFrame(step)
+    })
+  }
+
+  stopAnimation = () => {
+    const { animation } = this
+    if (animation) {
+      this.endAnimation(animation.state, false)
+    }
+  }
+
+  endAnimation = (state: TransformState, finished: boolean) => {
+    const { animation } = this
+    if (!animation) {
+      return
+    }
+
+    const { onAnimationEnd } = this.getOptions()
+    window.cancelAnimationFrame(animation.frame)
+    this.animation = null
+
+    this.host.setState(state, () => {
+      this.syncTransform()
+      animation.restoreTransition()
+    })
+    onAnimationEnd && onAnimationEnd(state, finished)
+    animation.resolve(finished)
+  }
+
+  isAnimating = (): boolean => {
+    return !!this.animation
+  }
+
+  // Apply the new state either through an animation or directly
+  transitionTo = (newState: $Shape<TransformState>, animate?: boolean | AnimationOptions): ?Promise<boolean> => {
+    if (animate) {
+      return this.animateTo(newState, typeof animate === 'object' ? animate : undefined)
+    }
+    this.host.setState(newState)
+  }
+
+  autoCenter = (zoomLevel: number = 1, animate: boolean | AnimationOptions = true) => {
+    const newState = Viewport.autoCenter(this.getViewport(), this.getOptions(), zoomLevel, this.host.getState().rotate)
+
+    if (animate) {
+      return this.transitionTo(newState, animate)
+    }
+
+    this.stopAnimation()
+    const restoreTransition = this.suspendTransition()
+    this.host.setState(newState, restoreTransition)
+  }
+
+  moveByRatio = (x: number, y: number, moveSpeedRatio: number = 0.05, animate?: boolean | AnimationOptions) => {
+    const container = this.getContainer()
+    const containerRect = container.getBoundingClientRect()
+    const offset = Math.min(containerRect.width, containerRect.height)
+    const dx = offset * moveSpeedRatio * x
+    const dy = offset * moveSpeedRatio * y
+
+    if (animate) {
+      return this.transitionTo(Viewport.moveBy(this.getViewport(), this.getOptions(), this.host.getState(), dx, dy), animate)
+    }
+
+    // outside of a pan gesture, the pan position is not dispatched to the host by noStateUpdate
+    this.moveBy(dx, dy, false)
+  }
+
+  // Returns the distance actually moved once constrained by the bounding box
+  moveBy = (dx: number, dy: number, noStateUpdate?: boolean = true) => {
+    const state = this.host.getState()
+    const { x, y } = state
+
+    // Allow better performance by not updating the state on every change
+    if (noStateUpdate) {
+      const { x: offsetX, y: offsetY } = Viewport.moveBy(this.getViewport(), this.getOptions(), { ...state, ...this.prevPanPosition }, dx, dy)
+      const moved = {
+        dx: offsetX - this.prevPanPosition.x,
+        dy: offsetY - this.prevPanPosition.y,
+      }
+
+      this.prevPanPosition = {
+        x: offsetX,
+        y: offsetY,
+      }
+      this.transformMatrixString = this.getTransformString({ ...state, ...this.prevPanPosition })
+
+      this.frameAnimation = window.requestAnimationFrame(this.applyTransform)
+      return moved
+    }
+
+    const newState = Viewport.moveBy(this.getViewport(), this.getOptions(), state, dx, dy)
+    this.host.setState(newState)
+    return {
+      dx: newState.x - x,
+      dy: newState.y - y,
+    }
+  }
+
+  rotate = (value: number | (prevAngle: number) => number) => {
+    const state = this.host.getState()
+    let newAngle: number
+    if (typeof value === 'function') {
+      newAngle = value(state.rotate)
+    } else {
+      newAngle = value
+    }
+    // the rotated content can end up outside of the bounding box
+    this.host.setState(Viewport.constrain(this.getViewport(), this.getOptions(), { ...state, rotate: newAngle }))
+  }
+
+  // Same as rotate, around a container point instead of the content center
+  rotateAround = (point: Point, value: number | (prevAngle: number) => number) => {
+    const state = this.host.getState()
+    const newAngle = typeof value === 'function' ? value(state.rotate) : value
+    const newState = Viewport.transformAround(this.getViewport(), this.getOptions(), state, point, point, 1, newAngle - state.rotate)
+    this.host.setState(newState)
+  }
+
+  zoomAbs = (x: number, y: number, zoomLevel: number, animate?: boolean | AnimationOptions) => {
+    const ratio = zoomLevel / this.host.getState().scale
+
+    if (animate) {
+      const newState = Viewport.zoomTo(this.getViewport(), this.getOptions(), this.host.getState(), x, y, ratio)
+      return newState ? this.transitionTo(newState, animate) : Promise.resolve(true)
+    }
+
+    this.zoomTo(x, y, ratio)
+  }
+
+  // Fit a rectangle, in content coordinates, in the container
+  zoomToRect = (rect: Rect, fitOptions?: FitOptions = {}) => {
+    const { padding, maxScale, animate } = fitOptions
+    const newState = Viewport.fitRect(this.getViewport(), this.getOptions(), rect, this.host.getState().rotate, padding, maxScale)
+    return this.transitionTo(newState, animate)
+  }
+
+  zoomToElement = (element: Element, fitOptions?: FitOptions) => {
+    return this.zoomToRect(this.getElementRect(element), fitOptions)
+  }
+
+  zoomTo = (x: number, y: number, ratio: number) => {
+    const newState = Viewport.zoomTo(this.getViewport(), this.getOptions(), this.host.getState(), x, y, ratio)
+    if (newState) {
+      this.host.setState(newState)
+    }
+  }
+
+  centeredZoom = (delta: number, zoomSpeed?: number) => {
+    const center = this.getContainerCenter()
+    const { zoomSteps } = this.getOptions()
+    if (zoomSteps && zoomSteps.length) {
+      const step = Viewport.getNextZoomStep(zoomSteps, this.host.getState().scale, -delta)
+      if (step !== null && step !== undefined) {
+        this.setZoom(step, center)
+      }
+      return
+    }
+
+    const scaleMultiplier = this.getScaleMultiplier(delta, zoomSpeed)
+    this.zoomTo(center.x, center.y, scaleMultiplier)
+  }
+
+  // Zoom to exactly `level` around the anchor, in container coordinates, the center of the container by default
+  setZoom = (level: number, anchor?: Point, animate?: boolean | AnimationOptions) => {
+    const point = anchor || this.getContainerCenter()
+    const newState = Viewport.zoomToScale(this.getViewport(), this.getOptions(), this.host.getState(), point.x, point.y, level)
+    return this.transitionTo(newState, animate)
+  }
+
+  getContainerCenter = (): Point => {
+    const { width, height } = this.getContainer().getBoundingClientRect()
+    return { x: width / 2, y: height / 2 }
+  }
+
+  reset = (animate?: boolean | AnimationOptions) => {
+    return this.transitionTo({ ...defaultState, ...this.getOptions().defaultValue }, animate)
+  }
+
+  // Transform saved by the persist option, constrained by the current zoom limits and bounds
+  getPersistedState = (): ?TransformState => {
+    const options = this.getOptions()
+    const { persist } = options
+    if (!persist) {
+      return null
+    }
+
+    const state = parseTransform(getPersistStorage(persist.storage).read(persist.id))
+    return state ? Viewport.constrain(this.getViewport(), options, state) : null
+  }
+
+  // Called by the hosts once mounted, returns false when there is nothing to restore
+  restorePersistedState = (): boolean => {
+    const state = this.getPersistedState()
+    if (!state) {
+      return false
+    }
+
+    this.host.setState(state)
+    return true
+  }
+
+  // Called by the hosts when the transform changes, the storage is written once it stays unchanged for the delay
+  persistTransform = (state: TransformState) => {
+    const { persist } = this.getOptions()
+    if (!persist) {
+      return
+    }
+
+    this.pendingPersistedState = state
+    clearTimeout(this.persistTimeout)
+    this.persistTimeout = setTimeout(this.flushPersistedState, persist.delay !== undefined ? persist.delay : PERSIST_DELAY)
+  }
+
+  flushPersistedState = () => {
+    const { persist } = this.getOptions()
+    const state = this.pendingPersistedState
+    clearTimeout(this.persistTimeout)
+    this.persistTimeout = null
+    this.pendingPersistedState = null
+
+    if (persist && state) {
+      getPersistStorage(persist.storage).write(persist.id, state)
+    }
+  }
+
+  zoomIn = (zoomSpeed?: number) => {
+    this.centeredZoom(-1, zoomSpeed)
+  }
+
+  zoomOut = (zoomSpeed?: number) => {
+    this.centeredZoom(1, zoomSpeed)
+  }
+
+  getOffset = (e: MouseEvent) => {
+    const containerRect = this.getContainer().getBoundingClientRect()
+    const offsetX = e.clientX - containerRect.left
+    const offsetY = e.clientY - containerRect.top
+    return { x: offsetX, y: offsetY }
+  }
+
+  // Transform displayed on screen, including a pan not dispatched to the host yet because of noStateUpdate
+  getCurrentState = (): TransformState => {
+    const state = this.host.getState()
+    if (!this.getOptions().noStateUpdate) {
+      return state
+    }
+    if (this.panStartTriggered || this.inertia || this.springBack) {
+      return { ...state, x: this.prevPanPosition.x, y: this.prevPanPosition.y }
+    }
+    if (this.animation) {
+      return this.animation.state
+    }
+    return state
+  }
+
+  // Conversions between the container coordinates, as given to preventPan, and the content coordinates
+  screenToContent = (point: Point): Point => Viewport.getContentPoint(this.getViewport(), this.getCurrentState(), point)
+
+  contentToScreen = (point: Point): Point => Viewport.getContainerPoint(this.getViewport(), this.getCurrentState(), point)
+
+  screenRectToContent = (rect: Rect): Rect => Viewport.getContentRect(this.getViewport(), this.getCurrentState(), rect)
+
+  contentRectToScreen = (rect: Rect): Rect => Viewport.getContainerRect(this.getViewport(), this.getCurrentState(), rect)
+
+  // Region of the content covered by one of its descendants, in content coordinates
+  getElementRect = (element: Element): Rect => {
+    const dragContainer = this.getDragContainer()
+    if (element === dragContainer || !dragContainer.contains(element)) {
+      throw new Error('[PanZoom]: zoomToElement expects an element rendered inside the content')
+    }
+
+    // the center of the bounding rect is not affected by the rotation
+    const { left, top, width, height } = element.getBoundingClientRect()
+    const containerRect = this.getContainer().getBoundingClientRect()
+    const center = Viewport.getContentPoint(this.getViewport(), this.host.getState(), {
+      x: left + width / 2 - containerRect.left,
+      y: top + height / 2 - containerRect.top,
+    })
+
+    // use the layout size when available, the bounding rect is enlarged by the rotation
+    const { scale } = this.host.getState()
+    const contentWidth = element instanceof HTMLElement ? element.offsetWidth : width / scale
+    const contentHeight = element instanceof HTMLElement ? element.offsetHeight : height / scale
+
+    return {
+      x: center.x - contentWidth / 2,
+      y: center.y - contentHeight / 2,
+      width: contentWidth,
+      height: contentHeight,
+    }
+  }
+
+  // Measure the container and the content to feed the DOM-free viewport model.
+  // Elements that are not attached yet are considered empty
+  getViewport = (): ViewportData => {
+    const { container, dragContainer } = this
+    const viewport = {}
+
+    if (container) {
+      const { width, height } = container.getBoundingClientRect()
+      viewport.containerWidth = width
+      viewport.containerHeight = height
+    }
+
+    if (dragContainer) {
+      const { clientTop, clientLeft, clientWidth, clientHeight } = dragContainer
+      viewport.contentWidth = clientWidth
+      viewport.contentHeight = clientHeight
+      viewport.contentTop = clientTop
+      viewport.contentLeft = clientLeft
+    }
+
+    return Viewport.createViewport(viewport)
+  }
+
+  getTransformMatrix = (x: number, y: number, scale: number, rotate: number) => {
+    return Viewport.getTransformMatrix(this.getViewport(), x, y, scale, rotate)
+  }
+
+  getTransformMatrixString = getTransformMatrixString
+
+  getTransformString = (state: TransformState) => {
+    return Viewport.getTransformString(this.getViewport(), state)
+  }
+
+  // Apply transform through rAF
+  applyTransform = () => {
+    this.getDragContainer().style.transform = this.transformMatrixString
+    this.frameAnimation = 0
+    this.notifyTransform()
+  }
+
+  // Listen to the transform displayed on screen, returns a function to stop listening
+  subscribe = (listener: (state: TransformState) => void): (() => void) => {
+    this.transformListeners.add(listener)
+    return () => {
+      this.transformListeners.delete(listener)
+    }
+  }
+
+  // Called by the hosts once they have rendered a new transform
+  notifyTransform = () => {
+    if (!this.transformListeners.size) {
+      return
+    }
+
+    const state = this.getCurrentState()
+    this.transformListeners.forEach(listener => listener(state))
+  }
+
+  getBoundCoordinates = (x: number, y: number, newScale: number, rotate?: number = 0, offsetX?: number = 0, offsetY?: number = 0) => {
+    return Viewport.getBoundCoordinates(this.getViewport(), this.getOptions(), x, y, newScale, rotate, offsetX, offsetY)
+  }
+}
+
+export default PanZoomController
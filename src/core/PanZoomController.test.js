@@ -0,0 +1,898 @@
+import createPanZoom from './createPanZoom'
+import { createViewport, applyBounds } from './viewport'
+import { pointerEvent } from '../../test/helpers'
+
+describe('PanZoomController animations', () => {
+  let frames = []
+  let time = 0
+  let panZoom = null
+  let content = null
+
+  const runFrame = (elapsed) => {
+    time += elapsed
+    const callbacks = frames
+    frames = []
+    callbacks.forEach(callback => callback(time))
+  }
+
+  beforeEach(() => {
+    frames = []
+    time = 0
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback))
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {})
+    jest.spyOn(window.performance, 'now').mockImplementation(() => time)
+
+    const container = document.createElement('div')
+    content = document.createElement('div')
+    container.appendChild(content)
+    panZoom = createPanZoom(container, content)
+  })
+
+  afterEach(() => {
+    panZoom.destroy()
+    jest.restoreAllMocks()
+  })
+
+  it('Should animate to the target and resolve the promise', () => {
+    const onAnimationEnd = jest.fn()
+    panZoom.setOptions({ onAnimationEnd })
+
+    const promise = panZoom.animateTo({ x: 100, scale: 2 }, { duration: 100, easing: 'linear' })
+    runFrame(50)
+    expect(content.style.transform).toBe('matrix(1.5, 0, 0, 1.5, 50, 0)')
+    expect(panZoom.getTransform()).toEqual({ x: 0, y: 0, scale: 1, rotate: 0 })
+
+    runFrame(50)
+    expect(panZoom.getTransform()).toEqual({ x: 100, y: 0, scale: 2, rotate: 0 })
+    expect(onAnimationEnd).toHaveBeenCalledWith({ x: 100, y: 0, scale: 2, rotate: 0 }, true)
+    return expect(promise).resolves.toBe(true)
+  })
+
+  it('Should stop at the current frame when cancelled', () => {
+    const promise = panZoom.animateTo({ x: 100 }, { duration: 100, easing: 'linear' })
+    runFrame(25)
+    panZoom.stopAnimation()
+
+    expect(panZoom.getTransform().x).toBe(25)
+    return expect(promise).resolves.toBe(false)
+  })
+
+  it('Should cancel the previous animation when starting a new one', () => {
+    const first = panZoom.animateTo({ x: 100 }, { duration: 100 })
+    const second = panZoom.animateTo({ y: 100 }, { duration: 100 })
+    runFrame(100)
+
+    expect(panZoom.getTransform()).toEqual({ x: 0, y: 100, scale: 1, rotate: 0 })
+    return Promise.all([
+      expect(first).resolves.toBe(false),
+      expect(second).resolves.toBe(true),
+    ])
+  })
+
+  it('Should constrain the target with the zoom limits', () => {
+    const onAnimationStart = jest.fn()
+    panZoom.setOptions({ maxZoom: 2, onAnimationStart })
+
+    const promise = panZoom.animateTo({ scale: 50 }, { duration: 100 })
+    expect(onAnimationStart).toHaveBeenCalledWith({ x: 0, y: 0, scale: 2, rotate: 0 })
+
+    runFrame(100)
+    expect(panZoom.getTransform().scale).toBe(2)
+    return expect(promise).resolves.toBe(true)
+  })
+
+  it('Should jump to the target when the motion is reduced', () => {
+    panZoom.setOptions({ reduceMotion: true })
+
+    const promise = panZoom.animateTo({ x: 100 }, { duration: 100 })
+    runFrame(16)
+
+    expect(panZoom.getTransform().x).toBe(100)
+    return expect(promise).resolves.toBe(true)
+  })
+})
+
+describe('PanZoomController inertia', () => {
+  let frames = []
+  let time = 0
+  let panZoom = null
+  let container = null
+
+  const runFrame = (elapsed) => {
+    time += elapsed
+    const callbacks = frames
+    frames = []
+    callbacks.forEach(callback => callback(time))
+  }
+
+  const drag = () => {
+    pointerEvent(container, 'pointerdown', 0, 0)
+    time += 10
+    pointerEvent(container, 'pointermove', 10, 0)
+    time += 10
+    pointerEvent(container, 'pointermove', 20, 0)
+    pointerEvent(container, 'pointerup', 20, 0)
+  }
+
+  beforeEach(() => {
+    frames = []
+    time = 0
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback))
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {})
+    jest.spyOn(window.performance, 'now').mockImplementation(() => time)
+
+    container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    panZoom.destroy()
+    document.body.removeChild(container)
+    jest.restoreAllMocks()
+  })
+
+  it('Should stop when the pan is released without inertia', () => {
+    const onPanEnd = jest.fn()
+    panZoom = createPanZoom(container, container.firstChild, { onPanEnd })
+    drag()
+
+    expect(onPanEnd).toHaveBeenCalledTimes(1)
+    expect(panZoom.getTransform().x).toBe(20)
+  })
+
+  it('Should keep moving after the pan is released', () => {
+    const onPanEnd = jest.fn()
+    panZoom = createPanZoom(container, container.firstChild, { onPanEnd, enableInertia: true })
+    drag()
+
+    expect(onPanEnd).not.toHaveBeenCalled()
+    for (let i = 0; i < 200 && frames.length; i++) {
+      runFrame(16)
+    }
+
+    expect(onPanEnd).toHaveBeenCalledTimes(1)
+    expect(panZoom.getTransform().x).toBeGreaterThan(30)
+  })
+
+  it('Should stop the inertia when a new pan starts', () => {
+    const onPanEnd = jest.fn()
+    panZoom = createPanZoom(container, container.firstChild, { onPanEnd, enableInertia: true })
+    drag()
+    runFrame(16)
+    const { x } = panZoom.controller.prevPanPosition
+
+    pointerEvent(container, 'pointerdown', 0, 0)
+    expect(onPanEnd).toHaveBeenCalledTimes(1)
+    expect(panZoom.getTransform().x).toBe(x)
+  })
+
+  it('Should resist and spring back when dragged past the bounding box', () => {
+    const onPanEnd = jest.fn()
+    panZoom = createPanZoom(container, container.firstChild, {
+      onPanEnd,
+      enableBoundingBox: true,
+      boundaryMode: 'contain',
+      enableRubberBand: true,
+      maxOverscroll: 100,
+    })
+
+    pointerEvent(container, 'pointerdown', 0, 0)
+    pointerEvent(container, 'pointermove', 50, 0)
+    pointerEvent(container, 'pointermove', 100, 0)
+    const { x } = panZoom.controller.prevPanPosition
+    expect(x).toBeCloseTo(100 * (1 - 1 / 1.55))
+
+    pointerEvent(container, 'pointerup', 100, 0)
+    expect(onPanEnd).not.toHaveBeenCalled()
+
+    runFrame(50)
+    expect(panZoom.controller.prevPanPosition.x).toBeLessThan(x)
+    for (let i = 0; i < 200 && frames.length; i++) {
+      runFrame(16)
+    }
+
+    expect(onPanEnd).toHaveBeenCalledTimes(1)
+    expect(panZoom.getTransform().x).toBe(0)
+  })
+})
+
+describe('PanZoomController pointers', () => {
+  let panZoom = null
+  let container = null
+
+  beforeEach(() => {
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(() => 0)
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {})
+
+    container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+    panZoom = createPanZoom(container, content, { realPinch: true })
+  })
+
+  afterEach(() => {
+    panZoom.destroy()
+    jest.restoreAllMocks()
+  })
+
+  it('Should ignore the secondary mouse buttons', () => {
+    const event = new MouseEvent('pointerdown', { clientX: 0, clientY: 0, button: 2 })
+    Object.defineProperty(event, 'pointerId', { value: 1 })
+    Object.defineProperty(event, 'pointerType', { value: 'mouse' })
+    container.dispatchEvent(event)
+
+    expect(panZoom.controller.pointers.size).toBe(0)
+  })
+
+  it('Should only capture the pointer once the pan starts', () => {
+    const button = document.createElement('button')
+    const onClick = jest.fn()
+    button.addEventListener('click', onClick)
+    container.firstChild.appendChild(button)
+    container.setPointerCapture = jest.fn()
+
+    // a click does not move the pointer, the click event still targets the button
+    pointerEvent(button, 'pointerdown', 10, 10)
+    pointerEvent(button, 'pointerup', 10, 10)
+    button.click()
+
+    expect(container.setPointerCapture).not.toHaveBeenCalled()
+    expect(onClick).toHaveBeenCalledTimes(1)
+
+    pointerEvent(button, 'pointerdown', 10, 10)
+    pointerEvent(container, 'pointermove', 10, 10)
+    expect(container.setPointerCapture).not.toHaveBeenCalled()
+
+    pointerEvent(container, 'pointermove', 20, 10)
+    expect(container.setPointerCapture).toHaveBeenCalledWith(1)
+    pointerEvent(container, 'pointerup', 20, 10)
+  })
+
+  it('Should restore the touch action of the container once destroyed', () => {
+    const otherContainer = document.createElement('div')
+    otherContainer.style.touchAction = 'pan-y'
+    const otherPanZoom = createPanZoom(otherContainer, document.createElement('div'))
+    expect(otherContainer.style.touchAction).toBe('none')
+
+    otherPanZoom.destroy()
+    expect(otherContainer.style.touchAction).toBe('pan-y')
+  })
+
+  it('Should zoom with two pointers', () => {
+    pointerEvent(container, 'pointerdown', 0, 0, 1, 'touch')
+    pointerEvent(container, 'pointerdown', 100, 0, 2, 'touch')
+    pointerEvent(container, 'pointermove', 200, 0, 2, 'touch')
+
+    expect(panZoom.getTransform().scale).toBeCloseTo(2)
+
+    pointerEvent(container, 'pointerup', 200, 0, 2, 'touch')
+    pointerEvent(container, 'pointerup', 0, 0, 1, 'touch')
+    expect(panZoom.controller.pointers.size).toBe(0)
+  })
+
+  it('Should pan with the center of the pointers while pinching', () => {
+    pointerEvent(container, 'pointerdown', 0, 0, 1, 'touch')
+    pointerEvent(container, 'pointerdown', 100, 0, 2, 'touch')
+    pointerEvent(container, 'pointermove', 20, 30, 1, 'touch')
+    pointerEvent(container, 'pointermove', 120, 30, 2, 'touch')
+
+    expect(panZoom.getTransform()).toEqual({ x: 20, y: 30, scale: 1, rotate: 0 })
+  })
+
+  it('Should only rotate past the threshold', () => {
+    panZoom.setOptions({ enablePinchRotate: true })
+
+    pointerEvent(container, 'pointerdown', 0, 0, 1, 'touch')
+    pointerEvent(container, 'pointerdown', 100, 0, 2, 'touch')
+    pointerEvent(container, 'pointermove', 100, 10, 2, 'touch')
+    expect(panZoom.getTransform().rotate).toBe(0)
+
+    pointerEvent(container, 'pointermove', 100, 100, 2, 'touch')
+    expect(panZoom.getTransform().rotate).toBeCloseTo(45)
+
+    pointerEvent(container, 'pointermove', 0, 100, 2, 'touch')
+    expect(panZoom.getTransform().rotate).toBeCloseTo(90)
+  })
+
+  it('Should keep panning with the remaining pointer', () => {
+    pointerEvent(container, 'pointerdown', 0, 0, 1, 'touch')
+    pointerEvent(container, 'pointerdown', 100, 0, 2, 'touch')
+    pointerEvent(container, 'pointerup', 100, 0, 2, 'touch')
+    pointerEvent(container, 'pointermove', 30, 40, 1, 'touch')
+    pointerEvent(container, 'pointerup', 30, 40, 1, 'touch')
+
+    expect(panZoom.getTransform()).toEqual({ x: 30, y: 40, scale: 1, rotate: 0 })
+  })
+})
+
+describe('PanZoomController wheel', () => {
+  let panZoom = null
+  let container = null
+
+  const wheel = (init) => {
+    const event = new WheelEvent('wheel', { clientX: 200, clientY: 100, cancelable: true, ...init })
+    container.dispatchEvent(event)
+    return event
+  }
+
+  beforeEach(() => {
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(() => 0)
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {})
+
+    container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+    container.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 200 })
+  })
+
+  afterEach(() => {
+    panZoom.destroy()
+    jest.restoreAllMocks()
+  })
+
+  it('Should zoom to the cursor proportionally to the delta', () => {
+    panZoom = createPanZoom(container, container.firstChild)
+
+    expect(wheel({ deltaY: -100 }).defaultPrevented).toBe(true)
+    const { x, y, scale } = panZoom.getTransform()
+    expect(scale).toBeCloseTo(1.065)
+    // the point under the cursor does not move
+    expect(x).toBeCloseTo(200 - 200 * scale)
+    expect(y).toBeCloseTo(100 - 100 * scale)
+
+    wheel({ deltaY: -4 })
+    expect(panZoom.getTransform().scale).toBeCloseTo(1.065 * Math.pow(1.065, 0.04))
+  })
+
+  it('Should normalize the delta mode', () => {
+    panZoom = createPanZoom(container, container.firstChild)
+
+    wheel({ deltaY: -3, deltaMode: 1 })
+    expect(panZoom.getTransform().scale).toBeCloseTo(Math.pow(1.065, 1.2))
+  })
+
+  it('Should zoom faster with the trackpad pinch', () => {
+    panZoom = createPanZoom(container, container.firstChild)
+
+    wheel({ deltaY: -10, ctrlKey: true })
+    expect(panZoom.getTransform().scale).toBeCloseTo(Math.exp(0.1))
+  })
+
+  it('Should pan with the wheel and zoom with a modifier in the pan mode', () => {
+    panZoom = createPanZoom(container, container.firstChild, { wheelMode: 'pan' })
+
+    wheel({ deltaX: 20, deltaY: 30 })
+    expect(panZoom.getTransform()).toEqual({ x: -20, y: -30, scale: 1, rotate: 0 })
+
+    wheel({ deltaY: -100, metaKey: true })
+    expect(panZoom.getTransform().scale).toBeCloseTo(1.065)
+
+    wheel({ deltaY: -10, ctrlKey: true })
+    expect(panZoom.getTransform().scale).toBeCloseTo(1.065 * Math.exp(0.1))
+  })
+
+  it('Should pan horizontally with Shift + wheel', () => {
+    panZoom = createPanZoom(container, container.firstChild, { wheelMode: 'pan' })
+
+    wheel({ deltaY: 3, deltaMode: 1, shiftKey: true })
+    expect(panZoom.getTransform()).toEqual({ x: -120, y: 0, scale: 1, rotate: 0 })
+
+    // already swapped by the browser
+    wheel({ deltaX: 20, shiftKey: true })
+    expect(panZoom.getTransform()).toEqual({ x: -140, y: 0, scale: 1, rotate: 0 })
+  })
+
+  it('Should keep panning when the scroll zoom is disabled', () => {
+    panZoom = createPanZoom(container, container.firstChild, { wheelMode: 'pan', disableScrollZoom: true })
+
+    wheel({ deltaY: 30 })
+    expect(panZoom.getTransform().y).toBe(-30)
+
+    expect(wheel({ deltaY: -100, ctrlKey: true }).defaultPrevented).toBe(false)
+    expect(panZoom.getTransform().scale).toBe(1)
+  })
+
+  it('Should route the wheel events with a function', () => {
+    const wheelMode = jest.fn(e => e.altKey ? 'zoom' : 'none')
+    panZoom = createPanZoom(container, container.firstChild, { wheelMode })
+
+    expect(wheel({ deltaY: -100 }).defaultPrevented).toBe(false)
+    expect(panZoom.getTransform().scale).toBe(1)
+
+    wheel({ deltaY: -100, altKey: true })
+    expect(panZoom.getTransform().scale).toBeCloseTo(1.065)
+    expect(wheelMode).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('PanZoomController zoom steps', () => {
+  let panZoom = null
+  let container = null
+
+  beforeEach(() => {
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(() => 0)
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {})
+
+    container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+    container.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 200 })
+    panZoom = createPanZoom(container, content, { zoomSteps: [0.25, 0.5, 1, 2, 4] })
+  })
+
+  afterEach(() => {
+    panZoom.destroy()
+    jest.restoreAllMocks()
+  })
+
+  it('Should step between the zoom levels', () => {
+    panZoom.zoomIn()
+    expect(panZoom.getTransform()).toEqual({ x: -200, y: -100, scale: 2, rotate: 0 })
+    panZoom.zoomIn()
+    panZoom.zoomIn()
+    expect(panZoom.getTransform().scale).toBe(4)
+
+    panZoom.setTransform({ scale: 1.1329 })
+    panZoom.zoomOut()
+    expect(panZoom.getTransform().scale).toBe(1)
+  })
+
+  it('Should step with the keyboard repeat', () => {
+    const event = new KeyboardEvent('keydown', { key: '+', code: 'Equal', repeat: true })
+    container.dispatchEvent(new KeyboardEvent('keydown', { key: '+', code: 'Equal' }))
+    container.dispatchEvent(event)
+
+    expect(panZoom.getTransform().scale).toBe(4)
+    expect(panZoom.controller.keyMotion).toBe(null)
+  })
+
+  it('Should set the zoom level around the anchor', () => {
+    panZoom.setZoom(3, { x: 0, y: 0 })
+    expect(panZoom.getTransform()).toEqual({ x: 0, y: 0, scale: 3, rotate: 0 })
+  })
+
+  it('Should snap the wheel zoom once the wheel stops', () => {
+    jest.useFakeTimers()
+    const frames = []
+    window.requestAnimationFrame.mockImplementation(callback => frames.push(callback))
+    panZoom.setOptions({ snapWheelZoom: true, reduceMotion: true })
+
+    container.dispatchEvent(new WheelEvent('wheel', { deltaY: -100, clientX: 0, clientY: 0 }))
+    jest.advanceTimersByTime(100)
+    container.dispatchEvent(new WheelEvent('wheel', { deltaY: -100, clientX: 0, clientY: 0 }))
+    jest.advanceTimersByTime(100)
+    expect(panZoom.getTransform().scale).toBeCloseTo(1.065 * 1.065)
+
+    jest.runAllTimers()
+    frames.forEach(callback => callback())
+    expect(panZoom.getTransform()).toEqual({ x: 0, y: 0, scale: 1, rotate: 0 })
+    jest.useRealTimers()
+  })
+})
+
+describe('PanZoomController resize', () => {
+  let panZoom = null
+  let container = null
+  let content = null
+  let size = null
+  let observer = null
+
+  class ResizeObserverMock {
+    constructor(callback) {
+      this.callback = callback
+      this.elements = []
+      observer = this
+    }
+    observe(element) {
+      this.elements.push(element)
+    }
+    disconnect() {
+      this.elements = []
+    }
+  }
+
+  const resize = (nextSize) => {
+    size = { ...size, ...nextSize }
+    observer.callback([])
+  }
+
+  beforeEach(() => {
+    window.ResizeObserver = ResizeObserverMock
+    size = { width: 400, height: 200, contentWidth: 200, contentHeight: 100 }
+
+    container = document.createElement('div')
+    content = document.createElement('div')
+    container.appendChild(content)
+    container.getBoundingClientRect = () => ({ left: 0, top: 0, width: size.width, height: size.height })
+    Object.defineProperty(content, 'clientWidth', { get: () => size.contentWidth })
+    Object.defineProperty(content, 'clientHeight', { get: () => size.contentHeight })
+  })
+
+  afterEach(() => {
+    delete window.ResizeObserver
+  })
+
+  it('Should observe the container and the content', () => {
+    panZoom = createPanZoom(container, content)
+    expect(observer.elements).toEqual([container, content])
+
+    panZoom.destroy()
+    expect(observer.elements).toEqual([])
+  })
+
+  it('Should keep the center of the container in place', () => {
+    panZoom = createPanZoom(container, content, { resizePolicy: 'keep-center' })
+    panZoom.setTransform({ x: 50, y: 20, scale: 2 })
+
+    resize({ width: 600 })
+    expect(panZoom.getTransform()).toEqual({ x: 150, y: 20, scale: 2, rotate: 0 })
+    panZoom.destroy()
+  })
+
+  it('Should refit the content once it is loaded', () => {
+    const onChange = jest.fn()
+    panZoom = createPanZoom(container, content, { resizePolicy: 'refit', onChange })
+
+    // same size
+    resize({})
+    expect(onChange).not.toHaveBeenCalled()
+
+    resize({ contentWidth: 800, contentHeight: 200 })
+    expect(panZoom.getTransform()).toEqual({ x: 0, y: 50, scale: 0.5, rotate: 0 })
+    panZoom.destroy()
+  })
+
+  it('Should re-apply the bounds', () => {
+    panZoom = createPanZoom(container, content, { enableBoundingBox: true, boundaryMode: 'contain' })
+    panZoom.setTransform({ x: 150 })
+
+    resize({ width: 300 })
+    expect(panZoom.getTransform().x).toBe(100)
+    panZoom.destroy()
+  })
+})
+
+describe('PanZoomController keyboard', () => {
+  let frames = []
+  let time = 0
+  let panZoom = null
+  let container = null
+
+  const runFrame = (elapsed) => {
+    time += elapsed
+    const callbacks = frames
+    frames = []
+    callbacks.forEach(callback => callback(time))
+  }
+
+  const keyDown = (key, init = {}, keyCode = 0) => {
+    const event = new KeyboardEvent('keydown', { key, code: key, cancelable: true, ...init })
+    Object.defineProperty(event, 'keyCode', { value: keyCode })
+    container.dispatchEvent(event)
+    return event
+  }
+
+  const keyUp = (key) => {
+    container.dispatchEvent(new KeyboardEvent('keyup', { key, code: key }))
+  }
+
+  beforeEach(() => {
+    frames = []
+    time = 0
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback))
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {})
+    jest.spyOn(window.performance, 'now').mockImplementation(() => time)
+
+    container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+    container.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 200 })
+  })
+
+  afterEach(() => {
+    panZoom.destroy()
+    jest.restoreAllMocks()
+  })
+
+  it('Should pan and zoom with the default keys', () => {
+    panZoom = createPanZoom(container, container.firstChild)
+
+    expect(keyDown('ArrowRight').defaultPrevented).toBe(true)
+    expect(panZoom.getTransform().x).toBe(10)
+    keyUp('ArrowRight')
+    keyDown('ArrowDown', { shiftKey: true })
+    expect(panZoom.getTransform().y).toBe(40)
+    keyUp('ArrowDown')
+
+    keyDown('+', { shiftKey: true, code: 'Equal' })
+    expect(panZoom.getTransform().scale).toBeGreaterThan(1)
+
+    expect(keyDown('a').defaultPrevented).toBe(false)
+  })
+
+  it('Should run the actions of the key map', () => {
+    const custom = jest.fn()
+    panZoom = createPanZoom(container, container.firstChild, {
+      keyMap: {
+        r: { action: 'rotate', angle: 90 },
+        'Ctrl+0': 'reset',
+        c: custom,
+      },
+    })
+
+    keyDown('r')
+    expect(panZoom.getTransform().rotate).toBe(90)
+
+    keyDown('0', { ctrlKey: true })
+    expect(panZoom.getTransform()).toEqual({ x: 0, y: 0, scale: 1, rotate: 0 })
+
+    keyDown('c')
+    expect(custom).toHaveBeenCalledWith(expect.any(KeyboardEvent), panZoom.controller)
+  })
+
+  it('Should report the invalid entries of the key map and ignore them', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    panZoom = createPanZoom(container, container.firstChild, {
+      keyMap: { 'Ctl+r': 'reset', x: 'explode', r: { action: 'rotate', angle: 90 } },
+    })
+    expect(console.error).toHaveBeenCalledTimes(2)
+    expect(console.error.mock.calls[0][0]).toContain('unknown modifier "Ctl"')
+    expect(console.error.mock.calls[1][0]).toContain('"x" shortcut')
+
+    keyDown('ArrowUp')
+    keyUp('ArrowUp')
+    keyDown('x')
+    expect(panZoom.getTransform()).toEqual({ x: 0, y: -10, scale: 1, rotate: 0 })
+    keyDown('r')
+    expect(panZoom.getTransform().rotate).toBe(90)
+    expect(console.error).toHaveBeenCalledTimes(2)
+
+    panZoom.setOptions({ keyMap: { 'Ctrl+r': 'reset' } })
+    expect(panZoom.controller.getKeyActions(panZoom.controller.getOptions().keyMap)).toEqual({ 'Ctrl+r': 'reset' })
+  })
+
+  it('Should ignore the keydown events without a key', () => {
+    panZoom = createPanZoom(container, container.firstChild)
+    expect(() => panZoom.controller.onKeyDown(new KeyboardEvent('keydown'))).not.toThrow()
+  })
+
+  it('Should keep panning smoothly while the key is held', () => {
+    panZoom = createPanZoom(container, container.firstChild)
+
+    keyDown('ArrowRight')
+    expect(panZoom.getTransform().x).toBe(10)
+
+    // one step every 100ms at first
+    runFrame(50)
+    expect(panZoom.getTransform().x).toBeCloseTo(15.25)
+
+    // the key repeat does not move the view
+    keyDown('ArrowRight', { repeat: true })
+    expect(panZoom.getTransform().x).toBeCloseTo(15.25)
+
+    // then faster and faster
+    runFrame(50)
+    expect(panZoom.getTransform().x).toBeCloseTo(20.75)
+
+    keyUp('ArrowRight')
+    runFrame(50)
+    expect(panZoom.getTransform().x).toBeCloseTo(20.75)
+    expect(frames).toHaveLength(0)
+  })
+
+  it('Should start panning with the key repeat of a key pressed before the focus', () => {
+    panZoom = createPanZoom(container, container.firstChild)
+
+    keyDown('ArrowRight', { repeat: true })
+    expect(panZoom.getTransform().x).toBe(10)
+    runFrame(50)
+    expect(panZoom.getTransform().x).toBeCloseTo(15.25)
+
+    keyUp('ArrowRight')
+    runFrame(50)
+    expect(panZoom.getTransform().x).toBeCloseTo(15.25)
+    expect(frames).toHaveLength(0)
+  })
+
+  it('Should pan diagonally with simultaneous keys', () => {
+    panZoom = createPanZoom(container, container.firstChild)
+
+    keyDown('ArrowRight')
+    keyDown('ArrowUp')
+    const { x, y } = panZoom.getTransform()
+    runFrame(50)
+
+    // as fast as a single direction
+    const transform = panZoom.getTransform()
+    expect(transform.x - x).toBeCloseTo(5.25 / Math.SQRT2)
+    expect(y - transform.y).toBeCloseTo(5.25 / Math.SQRT2)
+
+    // stop on blur
+    container.dispatchEvent(new FocusEvent('blur'))
+    expect(panZoom.controller.heldKeys.size).toBe(0)
+    runFrame(50)
+    expect(panZoom.getTransform()).toEqual(transform)
+  })
+
+  it('Should accept the legacy key mapping', () => {
+    panZoom = createPanZoom(container, container.firstChild, {
+      keyMapping: { '87': { x: 0, y: -1, z: 0 } },
+    })
+
+    keyDown('w', {}, 87)
+    expect(panZoom.getTransform().y).toBe(-10)
+  })
+
+  it('Should label the container and announce the transform after the key actions', () => {
+    jest.useFakeTimers()
+    panZoom = createPanZoom(container, container.firstChild)
+    const liveRegion = container.querySelector('[aria-live]')
+
+    expect(container.getAttribute('role')).toBe('application')
+    expect(container.getAttribute('aria-label')).toBe('Pan and zoom area')
+    expect(liveRegion.getAttribute('aria-live')).toBe('polite')
+
+    keyDown('+')
+    keyUp('+')
+    keyDown('+')
+    keyUp('+')
+    expect(liveRegion.textContent).toBe('')
+    jest.runAllTimers()
+    expect(liveRegion.textContent).toBe(`Zoom ${Math.round(panZoom.getTransform().scale * 100)}%, rotation 0 degrees`)
+
+    panZoom.destroy()
+    expect(container.querySelector('[aria-live]')).toBe(null)
+    jest.useRealTimers()
+  })
+
+  it('Should use the custom announcements', () => {
+    jest.useFakeTimers()
+    container.setAttribute('aria-label', 'Map')
+    panZoom = createPanZoom(container, container.firstChild, {
+      getAnnouncement: ({ x, y }) => `Moved to ${x}, ${y}`,
+    })
+
+    keyDown('ArrowRight')
+    keyUp('ArrowRight')
+    jest.runAllTimers()
+
+    expect(container.getAttribute('aria-label')).toBe('Map')
+    expect(container.querySelector('[aria-live]').textContent).toBe('Moved to 10, 0')
+
+    panZoom.setOptions({ disableAnnouncements: true })
+    keyDown('ArrowRight')
+    keyUp('ArrowRight')
+    jest.runAllTimers()
+    expect(container.querySelector('[aria-live]').textContent).toBe('Moved to 10, 0')
+    jest.useRealTimers()
+  })
+
+  it('Should show the focus indicator until the container loses the focus', () => {
+    container.style.outline = 'none'
+    panZoom = createPanZoom(container, container.firstChild, { focusIndicator: '3px solid red' })
+
+    container.dispatchEvent(new FocusEvent('focus'))
+    expect(container.style.outline).toBe('3px solid red')
+
+    container.dispatchEvent(new FocusEvent('blur'))
+    expect(container.style.outline).toBe('none')
+  })
+})
+
+describe('PanZoomController bounds', () => {
+  const viewport = createViewport({
+    containerWidth: 400,
+    containerHeight: 300,
+    contentWidth: 200,
+    contentHeight: 100,
+  })
+
+  let panZoom = null
+  let container = null
+  let options = null
+
+  const setup = (boundaryMode) => {
+    container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+
+    // jsdom does not compute the layout
+    container.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 })
+    Object.defineProperty(content, 'clientWidth', { value: 200 })
+    Object.defineProperty(content, 'clientHeight', { value: 100 })
+
+    options = {
+      enableBoundingBox: true,
+      boundaryMode,
+      boundaryRatioVertical: 0.8,
+      boundaryRatioHorizontal: 0.8,
+      minZoom: 0.5,
+      maxZoom: 5,
+      realPinch: true,
+      noStateUpdate: false,
+    }
+    panZoom = createPanZoom(container, content, options)
+  }
+
+  const expectInBounds = () => {
+    const state = panZoom.getTransform()
+    const bounded = applyBounds(viewport, options, state)
+    expect(state.x).toBeCloseTo(bounded.x)
+    expect(state.y).toBeCloseTo(bounded.y)
+    expect(state.scale).toBeGreaterThanOrEqual(options.minZoom)
+    expect(state.scale).toBeLessThanOrEqual(options.maxZoom)
+  }
+
+  beforeEach(() => {
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(() => 0)
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    panZoom.destroy()
+    jest.restoreAllMocks()
+  })
+
+  ;['ratio', 'contain', 'cover'].forEach(boundaryMode => {
+    describe(`with the ${boundaryMode} mode`, () => {
+      beforeEach(() => setup(boundaryMode))
+
+      it('Should stay in bounds when panning', () => {
+        pointerEvent(container, 'pointerdown', 0, 0)
+        pointerEvent(container, 'pointermove', 1000, -800)
+        pointerEvent(container, 'pointerup', 1000, -800)
+        expectInBounds()
+
+        panZoom.moveBy(-3000, 3000, false)
+        expectInBounds()
+      })
+
+      it('Should stay in bounds when zooming with the wheel', () => {
+        panZoom.setTransform({ x: 390, y: 290 })
+        for (let i = 0; i < 20; i++) {
+          container.dispatchEvent(new WheelEvent('wheel', { deltaY: -1, clientX: 0, clientY: 0 }))
+          expectInBounds()
+        }
+        for (let i = 0; i < 40; i++) {
+          container.dispatchEvent(new WheelEvent('wheel', { deltaY: 1, clientX: 400, clientY: 300 }))
+          expectInBounds()
+        }
+      })
+
+      it('Should stay in bounds when zooming with a double click', () => {
+        container.dispatchEvent(new MouseEvent('dblclick', { clientX: 390, clientY: 10 }))
+        expectInBounds()
+        container.dispatchEvent(new MouseEvent('dblclick', { clientX: 0, clientY: 300 }))
+        expectInBounds()
+      })
+
+      it('Should stay in bounds when pinching', () => {
+        pointerEvent(container, 'pointerdown', 300, 200, 1, 'touch')
+        pointerEvent(container, 'pointerdown', 350, 250, 2, 'touch')
+        pointerEvent(container, 'pointermove', 0, 0, 1, 'touch')
+        expectInBounds()
+        pointerEvent(container, 'pointermove', 20, 20, 2, 'touch')
+        expectInBounds()
+        pointerEvent(container, 'pointerup', 20, 20, 2, 'touch')
+        pointerEvent(container, 'pointerup', 0, 0, 1, 'touch')
+      })
+
+      it('Should stay in bounds with the zoom and rotation methods', () => {
+        panZoom.zoomIn()
+        expectInBounds()
+        panZoom.zoomAbs(0, 0, 4)
+        expectInBounds()
+        panZoom.zoomOut()
+        expectInBounds()
+        panZoom.rotate(45)
+        expectInBounds()
+        panZoom.zoomToRect({ x: 190, y: 90, width: 10, height: 10 })
+        expectInBounds()
+        panZoom.autoCenter(2, false)
+        expectInBounds()
+      })
+    })
+  })
+})
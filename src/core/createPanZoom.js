@@ -0,0 +1,86 @@
+// @flow
+import PanZoomController, { defaultState, isSameTransform } from './PanZoomController'
+import type { PanZoomOptions, TransformState } from './types'
+
+export type CreatePanZoomOptions = $Shape<PanZoomOptions & {
+  autoCenter: boolean,
+  autoCenterZoomLevel: number,
+  onChange: (value: TransformState) => void,
+}>
+
+// Enable pan and zoom on any DOM element, without React.
+// The transform is kept by the returned instance and applied on the content element
+const createPanZoom = (container: HTMLElement, content: HTMLElement, options?: CreatePanZoomOptions = {}) => {
+  let currentOptions = options
+  let state: TransformState = { ...defaultState, ...options.defaultValue }
+
+  const controller = new PanZoomController({
+    getOptions: () => (currentOptions: Object),
+    getState: () => state,
+    setState: (nextState, callback) => {
+      const { onChange } = currentOptions
+      const proposedState = { ...state, ...nextState }
+
+      // e.g. the end of a click without any move
+      if (isSameTransform(proposedState, state)) {
+        callback && callback()
+        return
+      }
+
+      state = proposedState
+      controller.syncTransform()
+      controller.notifyTransform()
+      controller.persistTransform(state)
+      onChange && onChange(state)
+      callback && callback()
+    },
+  }, { bindEvents: true })
+
+  const { minZoom, maxZoom } = controller.getOptions()
+  if (maxZoom < minZoom) {
+    throw new Error('[PanZoom]: maxZoom props cannot be inferior to minZoom')
+  }
+
+  controller.setContainer(container)
+  controller.setDragContainer(content)
+
+  content.style.transformOrigin = '0 0 0'
+  controller.syncTransform()
+
+  // a persisted transform takes precedence over autoCenter
+  if (!controller.restorePersistedState() && options.autoCenter) {
+    controller.autoCenter(options.autoCenterZoomLevel, false)
+  }
+
+  return {
+    getTransform: (): TransformState => state,
+    setTransform: (nextState: $Shape<TransformState>) => controller.host.setState(nextState),
+    setOptions: (nextOptions: CreatePanZoomOptions) => {
+      currentOptions = { ...currentOptions, ...nextOptions }
+      controller.checkKeyMap()
+    },
+    animateTo: controller.animateTo,
+    stopAnimation: controller.stopAnimation,
+    autoCenter: controller.autoCenter,
+    moveByRatio: controller.moveByRatio,
+    moveBy: controller.moveBy,
+    rotate: controller.rotate,
+    rotateAround: controller.rotateAround,
+    zoomAbs: controller.zoomAbs,
+    setZoom: controller.setZoom,
+    zoomToRect: controller.zoomToRect,
+    zoomToElement: controller.zoomToElement,
+    screenToContent: controller.screenToContent,
+    contentToScreen: controller.contentToScreen,
+    screenRectToContent: controller.screenRectToContent,
+    contentRectToScreen: controller.contentRectToScreen,
+    zoomTo: controller.zoomTo,
+    zoomIn: controller.zoomIn,
+    zoomOut: controller.zoomOut,
+    reset: controller.reset,
+    destroy: controller.destroy,
+    controller,
+  }
+}
+
+export default createPanZoom
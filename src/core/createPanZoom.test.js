@@ -0,0 +1,103 @@
+import createPanZoom from './createPanZoom'
+
+describe('createPanZoom', () => {
+  it('Should apply the transform on the content element', () => {
+    const container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+
+    const onChange = jest.fn()
+    const panZoom = createPanZoom(container, content, { onChange })
+    panZoom.moveBy(10, 20, false)
+
+    expect(panZoom.getTransform()).toEqual({ x: 10, y: 20, scale: 1, rotate: 0 })
+    expect(onChange).toHaveBeenCalledWith({ x: 10, y: 20, scale: 1, rotate: 0 })
+    expect(content.style.transform).toBe('matrix(1, 0, 0, 1, 10, 20)')
+
+    panZoom.destroy()
+  })
+  it('Should zoom to an element of the content', () => {
+    const container = document.createElement('div')
+    const content = document.createElement('div')
+    const element = document.createElement('div')
+    content.appendChild(element)
+    container.appendChild(content)
+
+    // jsdom does not compute the layout
+    container.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 })
+    element.getBoundingClientRect = () => ({ left: 100, top: 100, width: 100, height: 50 })
+    Object.defineProperty(element, 'offsetWidth', { value: 100 })
+    Object.defineProperty(element, 'offsetHeight', { value: 50 })
+
+    const panZoom = createPanZoom(container, content, { maxZoom: 3 })
+    panZoom.zoomToElement(element, { padding: 20 })
+
+    expect(panZoom.getTransform()).toEqual({ x: -250, y: -225, scale: 3, rotate: 0 })
+    expect(() => panZoom.zoomToElement(document.createElement('div'))).toThrow()
+
+    panZoom.destroy()
+  })
+  it('Should convert coordinates with the pan in progress', () => {
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(() => 0)
+    const container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+
+    const panZoom = createPanZoom(container, content, { defaultValue: { scale: 2 } })
+    expect(panZoom.screenToContent({ x: 40, y: 60 })).toEqual({ x: 20, y: 30 })
+
+    const event = (type, clientX, clientY) => {
+      const e = new MouseEvent(type, { clientX, clientY, button: 0 })
+      Object.defineProperty(e, 'pointerId', { value: 1 })
+      container.dispatchEvent(e)
+    }
+    event('pointerdown', 0, 0)
+    event('pointermove', 10, 20)
+
+    // the state is only updated once the pan ends
+    expect(panZoom.getTransform().x).toBe(0)
+    expect(panZoom.contentToScreen({ x: 20, y: 30 })).toEqual({ x: 50, y: 80 })
+
+    event('pointerup', 10, 20)
+    panZoom.destroy()
+    jest.restoreAllMocks()
+  })
+  it('Should rotate around a point of the container', () => {
+    const container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+
+    const panZoom = createPanZoom(container, content)
+    panZoom.rotateAround({ x: 100, y: 0 }, 90)
+
+    // the content origin rotates a quarter turn around the point
+    const { x, y } = panZoom.contentToScreen({ x: 0, y: 0 })
+    expect(x).toBeCloseTo(100)
+    expect(y).toBeCloseTo(-100)
+    expect(panZoom.getTransform().rotate).toBe(90)
+
+    const point = panZoom.contentToScreen({ x: 100, y: 0 })
+    expect(point.x).toBeCloseTo(100)
+    expect(point.y).toBeCloseTo(0)
+
+    panZoom.destroy()
+  })
+  it('Should persist the transform in the URL', () => {
+    jest.useFakeTimers()
+    window.history.replaceState(null, '', '/?plan=10%2C20%2C2%2C0')
+    const container = document.createElement('div')
+    const content = document.createElement('div')
+    container.appendChild(content)
+
+    const panZoom = createPanZoom(container, content, { persist: { id: 'plan', storage: 'query' } })
+    expect(panZoom.getTransform()).toEqual({ x: 10, y: 20, scale: 2, rotate: 0 })
+
+    panZoom.moveBy(5, 0, false)
+    jest.runAllTimers()
+    expect(window.location.search).toBe('?plan=15,20,2,0')
+
+    panZoom.destroy()
+    window.history.replaceState(null, '', '/')
+    jest.useRealTimers()
+  })
+})
@@ -0,0 +1,23 @@
+// @flow
+
+export type EasingFunction = (t: number) => number
+export type Easing = 'linear' | 'easeIn' | 'easeOut' | 'easeInOut' | EasingFunction
+
+export const easings: { [string]: EasingFunction } = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+}
+
+export const getEasing = (easing: Easing): EasingFunction => {
+  if (typeof easing === 'function') {
+    return easing
+  }
+
+  const easingFunction = easings[easing]
+  if (!easingFunction) {
+    throw new Error(`[PanZoom]: unknown easing "${easing}", expected one of ${Object.keys(easings).join(', ')} or a function`)
+  }
+  return easingFunction
+}
@@ -0,0 +1,36 @@
+// @flow
+export {default as PanZoomController, defaultOptions, defaultState, defaultAnimationOptions, defaultAnnouncement} from './PanZoomController'
+export {default as createPanZoom} from './createPanZoom'
+export {TransformMatrix, applyTransformMatrix, getTransformMatrixString, invertTransformMatrix, applyMatrixToPoint} from './matrix'
+export {easings, getEasing} from './easing'
+export {defaultKeyMap, normalizeShortcut} from './keymap'
+export {createWebStorage, createUrlStorage, parseTransform} from './persistence'
+export {
+  createViewport,
+  getTransformMatrix,
+  getTransformString,
+  getContainerPoint,
+  getContentPoint,
+  getContainerRect,
+  getContentRect,
+  getPositionForPoint,
+  getTransformedContentCoordinates,
+  getBoundCoordinates,
+  applyBounds,
+  constrain,
+  getOverscroll,
+  getOverscrollDistance,
+  overscrollBy,
+  getScaleMultiplier,
+  normalizeWheelDelta,
+  getWheelScaleMultiplier,
+  moveBy,
+  zoomTo,
+  zoomToScale,
+  getNextZoomStep,
+  getNearestZoomStep,
+  transformAround,
+  fitRect,
+  autoCenter,
+  resize,
+} from './viewport'
@@ -0,0 +1,157 @@
+// @flow
+import warning from 'warning'
+import type { KeyAction, KeyMap, LegacyKeyMapping } from './types'
+
+// Modifiers are written in this order in the normalized shortcuts
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta']
+
+const MODIFIER_ALIASES = {
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  meta: 'Meta',
+  cmd: 'Meta',
+  command: 'Meta',
+}
+
+// Number of pan steps of the faster pan
+const FAST_PAN = 4
+
+export const defaultKeyMap: KeyMap = {
+  'ArrowUp': { action: 'panBy', x: 0, y: -1 },
+  'ArrowDown': { action: 'panBy', x: 0, y: 1 },
+  'ArrowLeft': { action: 'panBy', x: -1, y: 0 },
+  'ArrowRight': { action: 'panBy', x: 1, y: 0 },
+  'Shift+ArrowUp': { action: 'panBy', x: 0, y: -FAST_PAN },
+  'Shift+ArrowDown': { action: 'panBy', x: 0, y: FAST_PAN },
+  'Shift+ArrowLeft': { action: 'panBy', x: -FAST_PAN, y: 0 },
+  'Shift+ArrowRight': { action: 'panBy', x: FAST_PAN, y: 0 },
+  '-': 'zoomOut',
+  '_': 'zoomOut',
+  '+': 'zoomIn',
+  '=': 'zoomIn',
+}
+
+// Single characters are case insensitive, 'Shift+R' and 'Shift+r' are the same shortcut
+const normalizeKey = (key: string) => key.length === 1 ? key.toLowerCase() : key
+
+const formatShortcut = (modifiers: Array<string>, key: string) => {
+  const prefix = MODIFIERS.filter(modifier => modifiers.includes(modifier)).map(modifier => `${modifier}+`).join('')
+  return `${prefix}${normalizeKey(key)}`
+}
+
+// 'shift+ctrl+ArrowUp' -> 'Ctrl+Shift+ArrowUp', the key being either a KeyboardEvent.key or a KeyboardEvent.code
+export const normalizeShortcut = (shortcut: string): string => {
+  const parts = shortcut.split('+')
+  // the '+' key itself, e.g. 'Ctrl++'
+  if (parts.length > 1 && parts[parts.length - 1] === '') {
+    parts.splice(parts.length - 2, 2, '+')
+  }
+
+  const key = parts.pop()
+  const modifiers = parts.map(part => {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()]
+    if (!modifier) {
+      throw new Error(`[PanZoom]: unknown modifier "${part}" in the "${shortcut}" shortcut, expected one of ${MODIFIERS.join(', ')}`)
+    }
+    return modifier
+  })
+
+  return formatShortcut(modifiers, key)
+}
+
+// Shortcuts matching the event, from the most to the least specific
+export const getEventShortcuts = (e: KeyboardEvent): Array<string> => {
+  const modifiers = MODIFIERS.filter((modifier, index) => [e.ctrlKey, e.altKey, e.shiftKey, e.metaKey][index])
+  const shortcuts = [formatShortcut(modifiers, e.key), formatShortcut(modifiers, e.code)]
+
+  // the shift key is part of characters such as '+' or '_' on most layouts
+  if (e.shiftKey && e.key.length === 1) {
+    shortcuts.push(formatShortcut(modifiers.filter(modifier => modifier !== 'Shift'), e.key))
+  }
+
+  return shortcuts
+}
+
+// Key map keyed by the normalized shortcuts
+export type KeyActions = { [shortcut: string]: ?KeyAction }
+
+const ACTIONS = ['panBy', 'zoomIn', 'zoomOut', 'rotate', 'reset', 'autoCenter']
+const SHORTHAND_ACTIONS = ['zoomIn', 'zoomOut', 'reset', 'autoCenter']
+
+// null disables a default shortcut
+export const isValidKeyAction = (action: mixed): boolean => {
+  if (action === null || typeof action === 'function') {
+    return true
+  }
+  if (typeof action === 'string') {
+    return SHORTHAND_ACTIONS.includes(action)
+  }
+  return !!action && typeof action === 'object' && ACTIONS.includes(action.action)
+}
+
+// The invalid entries are reported and left out, instead of failing on the key presses
+export const normalizeKeyMap = (keyMap: KeyMap): KeyActions => {
+  const actions = {}
+  Object.keys(keyMap).forEach(shortcut => {
+    const action = keyMap[shortcut]
+    if (!isValidKeyAction(action)) {
+      if (process.env.NODE_ENV !== 'production') {
+        warning(false, '[PanZoom]: unknown key action for the "%s" shortcut of the keyMap, it is ignored.', shortcut)
+      }
+      return
+    }
+
+    try {
+      actions[normalizeShortcut(shortcut)] = action
+    } catch (error) {
+      if (process.env.NODE_ENV !== 'production') {
+        warning(false, '%s, it is ignored.', error.message)
+      }
+    }
+  })
+  return actions
+}
+
+const defaultKeyActions = normalizeKeyMap(defaultKeyMap)
+
+const findAction = (actions: KeyActions, shortcuts: Array<string>): ?KeyAction => {
+  const shortcut = shortcuts.find(shortcut => actions[shortcut] !== undefined)
+  // a shortcut mapped to null disables it
+  return shortcut ? actions[shortcut] : undefined
+}
+
+// The legacy mapping moves by { x, y } steps and zooms out by z
+const fromLegacyMapping = ({ x, y, z }): KeyAction => (e, controller) => {
+  if (x || y) {
+    controller.runKeyAction({ action: 'panBy', x, y }, e)
+  }
+  if (z) {
+    controller.runKeyAction(z > 0 ? 'zoomOut' : 'zoomIn', e)
+  }
+}
+
+// Action bound to the keyboard event: the key map, normalized by normalizeKeyMap, comes first,
+// then the legacy keyMapping based on key codes and finally the default key map
+export const getKeyAction = (e: KeyboardEvent, keyActions?: ?KeyActions, keyMapping?: LegacyKeyMapping): ?KeyAction => {
+  // e.g. the keydown events sent by the browser autofill
+  if (typeof e.key !== 'string') {
+    return undefined
+  }
+
+  const shortcuts = getEventShortcuts(e)
+
+  const action = keyActions ? findAction(keyActions, shortcuts) : undefined
+  if (action !== undefined) {
+    return action
+  }
+
+  const legacyMapping = keyMapping && keyMapping[String(e.keyCode)]
+  if (legacyMapping) {
+    return fromLegacyMapping(legacyMapping)
+  }
+
+  return findAction(defaultKeyActions, shortcuts)
+}
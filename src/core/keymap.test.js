@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+import { normalizeShortcut, normalizeKeyMap, getEventShortcuts, getKeyAction } from './keymap'
+
+const keyEvent = (key, code, modifiers = {}) => ({
+  key,
+  code,
+  keyCode: 0,
+  ctrlKey: false,
+  altKey: false,
+  shiftKey: false,
+  metaKey: false,
+  ...modifiers,
+})
+
+describe('normalizeShortcut', () => {
+  it('Should sort the modifiers and accept aliases', () => {
+    expect(normalizeShortcut('shift+control+ArrowUp')).toBe('Ctrl+Shift+ArrowUp')
+    expect(normalizeShortcut('Cmd+R')).toBe('Meta+r')
+    expect(normalizeShortcut('Ctrl++')).toBe('Ctrl++')
+    expect(normalizeShortcut('+')).toBe('+')
+  })
+
+  it('Should throw on unknown modifiers', () => {
+    expect(() => normalizeShortcut('Hyper+a')).toThrow()
+  })
+})
+
+describe('normalizeKeyMap', () => {
+  it('Should report and leave out the invalid entries', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const rotate = { action: 'rotate', angle: 90 }
+
+    expect(normalizeKeyMap({ 'Hyper+a': 'reset', b: 'explode', c: { action: 'fly' }, 'Shift+R': rotate, ArrowUp: null }))
+      .toEqual({ 'Shift+r': rotate, ArrowUp: null })
+    expect(console.error).toHaveBeenCalledTimes(3)
+    console.error.mockRestore()
+  })
+})
+
+describe('getEventShortcuts', () => {
+  it('Should match the key and the code', () => {
+    expect(getEventShortcuts(keyEvent('a', 'KeyQ', { ctrlKey: true }))).toEqual(['Ctrl+a', 'Ctrl+KeyQ'])
+  })
+
+  it('Should match characters typed with shift', () => {
+    expect(getEventShortcuts(keyEvent('+', 'Equal', { shiftKey: true }))).toEqual(['Shift++', 'Shift+Equal', '+'])
+  })
+})
+
+describe('getKeyAction', () => {
+  it('Should use the default key map', () => {
+    expect(getKeyAction(keyEvent('ArrowUp', 'ArrowUp'))).toEqual({ action: 'panBy', x: 0, y: -1 })
+    expect(getKeyAction(keyEvent('+', 'Equal', { shiftKey: true }))).toBe('zoomIn')
+    expect(getKeyAction(keyEvent('-', 'Minus', { ctrlKey: true }))).toBeUndefined()
+  })
+
+  it('Should prefer the key map, then the legacy mapping', () => {
+    const keyMap = normalizeKeyMap({ 'Shift+R': { action: 'rotate', angle: 90 }, 'ArrowUp': null })
+    expect(getKeyAction(keyEvent('R', 'KeyR', { shiftKey: true }), keyMap)).toEqual({ action: 'rotate', angle: 90 })
+    expect(getKeyAction(keyEvent('ArrowUp', 'ArrowUp'), keyMap)).toBeNull()
+
+    const keyMapping = { '38': { x: 0, y: 1, z: 0 } }
+    expect(typeof getKeyAction({ ...keyEvent('ArrowUp', 'ArrowUp'), keyCode: 38 }, undefined, keyMapping)).toBe('function')
+  })
+
+  it('Should ignore the events without a key', () => {
+    expect(getKeyAction(keyEvent(undefined, undefined))).toBeUndefined()
+  })
+})
@@ -0,0 +1,52 @@
+// @flow
+import type { TransformMatrixData } from './types'
+
+// Transform matrix use to rotate, zoom and pan
+// Can be written as T(centerX, centerY) * R(theta) * T(-centerX, -centerY) * S(scale, scale) + T(offsetX, offsetY)
+// ( a , c, x )
+// ( b , d, y )
+// ( 0 , 0, 1 )
+export const TransformMatrix = (angle: number, centerX: number, centerY: number, scale: number, offsetX: number, offsetY: number): TransformMatrixData => {
+  const theta = angle * Math.PI / 180
+  const a = Math.cos(theta) * scale
+  const b = Math.sin(theta) * scale
+  const c = -b
+  const d = a
+  const transformX = - centerX * a + centerY * b + centerX * scale
+  const transformY =   centerX * c - centerY * d + centerY * scale
+  return { a, b, c, d, x : transformX + offsetX, y: transformY + offsetY }
+}
+
+export const applyTransformMatrix = (angle: number, centerX: number, centerY: number, scale: number, offsetX: number, offsetY: number) => (x: number, y: number): [number, number] => {
+  const { a, b, c, d, x: transformX, y: transformY } = TransformMatrix(angle, centerX, centerY, scale, offsetX, offsetY)
+  return [
+    x * a + y * c + transformX,
+    x * b + y * d + transformY,
+  ]
+}
+
+export const getTransformMatrixString = (a: number, b: number, c: number, d: number, x: number, y: number) => {
+  return `matrix(${a}, ${b}, ${c}, ${d}, ${x}, ${y})`
+}
+
+// Inverse of the transform matrix, mapping container coordinates back to content coordinates
+export const invertTransformMatrix = ({ a, b, c, d, x, y }: TransformMatrixData): TransformMatrixData => {
+  const determinant = a * d - b * c
+  if (determinant === 0) {
+    throw new Error('[PanZoom]: cannot invert a transform matrix with a scale of 0')
+  }
+
+  return {
+    a: d / determinant,
+    b: -b / determinant,
+    c: -c / determinant,
+    d: a / determinant,
+    x: (c * y - d * x) / determinant,
+    y: (b * x - a * y) / determinant,
+  }
+}
+
+export const applyMatrixToPoint = ({ a, b, c, d, x, y }: TransformMatrixData, point: { x: number, y: number }) => ({
+  x: point.x * a + point.y * c + x,
+  y: point.x * b + point.y * d + y,
+})
@@ -0,0 +1,120 @@
+// @flow
+import type { TransformState, PersistStorage, PersistStorageName } from './types'
+
+const STORAGE_PREFIX = 'react-easy-panzoom:'
+
+// Precision of the values written in the URL, to keep the links short
+const URL_PRECISION = 4
+
+const isFiniteNumber = (value: mixed): boolean %checks => typeof value === 'number' && isFinite(value)
+
+// Transform read from a storage, null when the value is missing or malformed
+export const parseTransform = (value: mixed): ?TransformState => {
+  if (!value || typeof value !== 'object') {
+    return null
+  }
+
+  const { x, y, scale, rotate = 0 } = value
+  if (!isFiniteNumber(x) || !isFiniteNumber(y) || !isFiniteNumber(scale) || !isFiniteNumber(rotate) || scale <= 0) {
+    return null
+  }
+  return { x, y, scale, rotate }
+}
+
+// The Web Storage can be unavailable, e.g. disabled by the privacy settings or full
+export const createWebStorage = (getStorage: () => ?Storage, prefix?: string = STORAGE_PREFIX): PersistStorage => ({
+  read: (id: string) => {
+    try {
+      const storage = getStorage()
+      const value = storage ? storage.getItem(prefix + id) : null
+      return value ? JSON.parse(value) : null
+    } catch (error) {
+      return null
+    }
+  },
+  write: (id: string, state: TransformState) => {
+    try {
+      const storage = getStorage()
+      if (storage) {
+        storage.setItem(prefix + id, JSON.stringify(state))
+      }
+    } catch (error) {
+      // the transform is not saved
+    }
+  },
+})
+
+// Written as x,y,scale,rotate
+export const formatUrlTransform = ({ x, y, scale, rotate }: TransformState): string => {
+  return [x, y, scale, rotate].map(value => String(Number(value.toFixed(URL_PRECISION)))).join(',')
+}
+
+export const parseUrlTransform = (value: ?string): ?TransformState => {
+  if (!value) {
+    return null
+  }
+
+  const [x, y, scale, rotate] = value.split(',').map(Number)
+  return parseTransform({ x, y, scale, rotate })
+}
+
+// e.g. '#tab=info&plan=0,0,1,0', unlike the paths of the hash routers such as '#/plan/3'
+const QUERY_FORMAT = /^([\w.~%-]+=[^&]*)?(&[\w.~%-]+=[^&]*)*$/
+
+export const isQueryFormat = (value: string): boolean => QUERY_FORMAT.test(value)
+
+// URLSearchParams encodes the commas, they are valid in the URL and keep the transforms readable
+const formatParams = (params: URLSearchParams): string => params.toString().replace(/%2C/g, ',')
+
+// The URL is replaced without adding a history entry for every move.
+// A hash that is not made of parameters is left untouched, the transform is then not persisted
+export const createUrlStorage = (part: 'query' | 'hash'): PersistStorage => {
+  const getParams = (url: URL): ?URLSearchParams => {
+    if (part === 'query') {
+      return new URLSearchParams(url.search)
+    }
+
+    const hash = url.hash.slice(1)
+    return isQueryFormat(hash) ? new URLSearchParams(hash) : null
+  }
+
+  return {
+    read: (id: string) => {
+      const params = getParams(new URL(window.location.href))
+      return params ? parseUrlTransform(params.get(id)) : null
+    },
+    write: (id: string, state: TransformState) => {
+      const url = new URL(window.location.href)
+      const params = getParams(url)
+      if (!params) {
+        return
+      }
+
+      params.set(id, formatUrlTransform(state))
+
+      if (part === 'query') {
+        url.search = formatParams(params)
+      } else {
+        url.hash = formatParams(params)
+      }
+      window.history.replaceState(window.history.state, '', url.toString())
+    },
+  }
+}
+
+export const storages: { [name: PersistStorageName]: PersistStorage } = {
+  local: createWebStorage(() => window.localStorage),
+  session: createWebStorage(() => window.sessionStorage),
+  query: createUrlStorage('query'),
+  hash: createUrlStorage('hash'),
+}
+
+export const getPersistStorage = (storage?: PersistStorageName | PersistStorage = 'local'): PersistStorage => {
+  if (typeof storage === 'string') {
+    if (!storages[storage]) {
+      throw new Error(`[PanZoom]: unknown persist storage "${storage}"`)
+    }
+    return storages[storage]
+  }
+  return storage
+}
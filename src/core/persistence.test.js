@@ -0,0 +1,76 @@
+import { parseTransform, createWebStorage, createUrlStorage, formatUrlTransform, getPersistStorage, isQueryFormat } from './persistence'
+
+describe('persistence', () => {
+  afterEach(() => {
+    window.localStorage.clear()
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('Should only parse valid transforms', () => {
+    expect(parseTransform({ x: 10, y: -5, scale: 2 })).toEqual({ x: 10, y: -5, scale: 2, rotate: 0 })
+    expect(parseTransform({ x: 10, y: -5, scale: 0 })).toBe(null)
+    expect(parseTransform({ x: '10', y: -5, scale: 1 })).toBe(null)
+    expect(parseTransform({ x: NaN, y: 0, scale: 1 })).toBe(null)
+    expect(parseTransform('1,2,3,4')).toBe(null)
+    expect(parseTransform(null)).toBe(null)
+  })
+
+  it('Should keep the transforms in the Web Storage by id', () => {
+    const storage = createWebStorage(() => window.localStorage)
+    storage.write('plan', { x: 10, y: 20, scale: 2, rotate: 90 })
+
+    expect(JSON.parse(window.localStorage.getItem('react-easy-panzoom:plan'))).toEqual({ x: 10, y: 20, scale: 2, rotate: 90 })
+    expect(storage.read('plan')).toEqual({ x: 10, y: 20, scale: 2, rotate: 90 })
+    expect(storage.read('map')).toBe(null)
+  })
+
+  it('Should ignore the unavailable Web Storage', () => {
+    const storage = createWebStorage(() => {
+      throw new Error('SecurityError')
+    })
+
+    expect(() => storage.write('plan', { x: 0, y: 0, scale: 1, rotate: 0 })).not.toThrow()
+    expect(storage.read('plan')).toBe(null)
+  })
+
+  it('Should keep the transforms in the URL', () => {
+    window.history.replaceState(null, '', '/?page=2#tab=info')
+    const query = createUrlStorage('query')
+    const hash = createUrlStorage('hash')
+
+    query.write('plan', { x: 10.123456, y: -20, scale: 1.5, rotate: 0 })
+    expect(window.location.href).toBe('http://localhost/?page=2&plan=10.1235,-20,1.5,0#tab=info')
+    expect(query.read('plan')).toEqual({ x: 10.1235, y: -20, scale: 1.5, rotate: 0 })
+
+    hash.write('map', { x: 1, y: 2, scale: 3, rotate: 45 })
+    expect(window.location.href).toBe('http://localhost/?page=2&plan=10.1235,-20,1.5,0#tab=info&map=1,2,3,45')
+    expect(hash.read('map')).toEqual({ x: 1, y: 2, scale: 3, rotate: 45 })
+    expect(hash.read('plan')).toBe(null)
+  })
+
+  it('Should leave the hash of a hash router untouched', () => {
+    window.history.replaceState(null, '', '/#/plan/3')
+    const hash = createUrlStorage('hash')
+
+    hash.write('plan', { x: 1, y: 2, scale: 3, rotate: 0 })
+    expect(window.location.hash).toBe('#/plan/3')
+    expect(hash.read('plan')).toBe(null)
+
+    expect(isQueryFormat('')).toBe(true)
+    expect(isQueryFormat('tab=info&plan=1%2C2%2C3%2C0')).toBe(true)
+    expect(isQueryFormat('section')).toBe(false)
+    expect(isQueryFormat('/plan?x=1')).toBe(false)
+  })
+
+  it('Should format the transforms of the URL', () => {
+    expect(formatUrlTransform({ x: -0.00001, y: 100, scale: 0.33333333, rotate: 90 })).toBe('0,100,0.3333,90')
+  })
+
+  it('Should resolve the storages by name', () => {
+    const custom = { read: () => null, write: () => {} }
+
+    expect(getPersistStorage(custom)).toBe(custom)
+    expect(getPersistStorage()).toBe(getPersistStorage('local'))
+    expect(() => getPersistStorage('cookie')).toThrow('[PanZoom]: unknown persist storage "cookie"')
+  })
+})
@@ -0,0 +1,168 @@
+// @flow
+import type { Easing } from './easing'
+import type PanZoomController from './PanZoomController'
+
+// ratio: the content can leave the container up to a ratio of its size
+// contain: the content can never leave the container
+// cover: the container never shows empty space when the content is larger than it
+export type BoundaryMode = 'ratio' | 'contain' | 'cover'
+
+// Action run by a keyboard shortcut. panBy moves by steps of 5% of the container
+export type KeyAction =
+  | 'zoomIn'
+  | 'zoomOut'
+  | 'reset'
+  | 'autoCenter'
+  | { action: 'panBy', x?: number, y?: number }
+  | { action: 'zoomIn' | 'zoomOut', speed?: number }
+  | { action: 'rotate', angle: number }
+  | { action: 'reset' }
+  | { action: 'autoCenter', zoomLevel?: number }
+  | (event: KeyboardEvent, controller: PanZoomController) => void
+
+// Keyed by shortcuts such as 'r', 'Shift+ArrowUp' or 'Ctrl+Digit0', null disables a default shortcut
+export type KeyMap = { [shortcut: string]: ?KeyAction }
+
+// Deprecated, keyed by KeyboardEvent.keyCode
+export type LegacyKeyMapping = { [keyCode: string]: { x: number, y: number, z: number } }
+
+// zoom: the wheel zooms, the trackpad pinch as well
+// pan: the wheel and the trackpad scroll pan, Shift + wheel pans horizontally, Ctrl / Cmd + wheel and the trackpad pinch zoom
+// none: the wheel events are left to the page
+export type WheelAction = 'zoom' | 'pan' | 'none'
+
+// A function picks the action of each wheel event
+export type WheelMode = WheelAction | (event: WheelEvent) => WheelAction
+
+// How the view adapts when the container or the content is resized
+// keep-center: the point at the center of the container stays there
+// keep-top-left: the point at the top left corner of the container stays there
+// refit: the content is centered and fitted again, as with autoCenter
+// none: the transform is left untouched
+export type ResizePolicy = 'keep-center' | 'keep-top-left' | 'refit' | 'none'
+
+// Keeps the transforms by id. The values read are validated before being restored
+export type PersistStorage = {
+  read: (id: string) => mixed,
+  write: (id: string, state: TransformState) => void,
+}
+
+// local and session: the Web Storage of the page, query and hash: a parameter of the URL named after the id
+export type PersistStorageName = 'local' | 'session' | 'query' | 'hash'
+
+export type PersistOptions = {
+  id: string,
+  storage?: PersistStorageName | PersistStorage,
+  // Delay, in milliseconds, the transform has to stay unchanged before being written
+  delay?: number,
+}
+
+export type TransformState = {
+  x: number,
+  y: number,
+  scale: number,
+  rotate: number
+}
+
+export type PanZoomOptions = {
+  zoomSpeed: number,
+  doubleZoomSpeed: number,
+  disabled?: boolean,
+  disableKeyInteraction?: boolean,
+  disableDoubleClickZoom?: boolean,
+  disableScrollZoom?: boolean,
+  wheelMode?: WheelMode,
+  // Scales the buttons and the keyboard zoom step between, e.g. [0.25, 0.5, 1, 2, 4]
+  zoomSteps?: Array<number>,
+  // Snap the wheel zoom to the nearest zoom step once the wheel stops
+  snapWheelZoom?: boolean,
+  resizePolicy?: ResizePolicy,
+  // Zoom level used by the refit resize policy
+  autoCenterZoomLevel?: number,
+  realPinch?: boolean,
+  enablePinchRotate?: boolean,
+  pinchRotateThreshold: number,
+  keyMap?: KeyMap,
+  keyMapping?: LegacyKeyMapping,
+  minZoom: number,
+  maxZoom: number,
+  preventPan: (event: PointerEvent, x: number, y: number) => boolean,
+  noStateUpdate: boolean,
+  enableInertia?: boolean,
+  inertiaFriction: number,
+  enableBoundingBox?: boolean,
+  boundaryRatioVertical: number,
+  boundaryRatioHorizontal: number,
+  boundaryMode?: BoundaryMode,
+  // Region of the content, in content coordinates, used by the bounding box instead of the whole content
+  bounds?: Rect,
+  enableRubberBand?: boolean,
+  rubberBandStiffness: number,
+  maxOverscroll: number,
+  defaultValue?: $Shape<TransformState>,
+  // Restore the transform on mount, instead of defaultValue and autoCenter, and save it once it changes
+  persist?: PersistOptions,
+
+  onPanStart?: (any) => void,
+  onPan?: (any) => void,
+  onPanEnd?: (any) => void,
+  disableAnnouncements?: boolean,
+  // Message announced to screen readers after keyboard actions
+  getAnnouncement?: (state: TransformState) => string,
+  // Disable the animations and the CSS transition, follows the prefers-reduced-motion media query when undefined
+  reduceMotion?: boolean,
+  // Outline displayed when the container has the keyboard focus, true for the default outline or a CSS outline value
+  focusIndicator?: boolean | string,
+  onAnimationStart?: (target: TransformState) => void,
+  onAnimationEnd?: (state: TransformState, finished: boolean) => void,
+}
+
+export type AnimationOptions = {
+  duration?: number,
+  easing?: Easing,
+}
+
+// Sizes of the container and of the content, without any transformation.
+// contentTop and contentLeft are the offsets of the content box (e.g. its borders)
+export type Viewport = {
+  containerWidth: number,
+  containerHeight: number,
+  contentWidth: number,
+  contentHeight: number,
+  contentTop: number,
+  contentLeft: number,
+}
+
+export type Point = {
+  x: number,
+  y: number,
+}
+
+export type Rect = {
+  x: number,
+  y: number,
+  width: number,
+  height: number,
+}
+
+export type FitOptions = {
+  // Space, in pixels, kept around the region in the container
+  padding?: number,
+  maxScale?: number,
+  animate?: boolean | AnimationOptions,
+}
+
+export type TransformMatrixData = {
+  a: number,
+  b: number,
+  c: number,
+  d: number,
+  x: number,
+  y: number,
+}
+
+// Element capturing the pointers, the DOM types of flow take their ids as strings
+export type PointerCaptureTarget = {
+  setPointerCapture?: (pointerId: number) => void,
+  hasPointerCapture?: (pointerId: number) => boolean,
+}
@@ -0,0 +1,489 @@
+// @flow
+import { TransformMatrix, applyTransformMatrix, getTransformMatrixString, invertTransformMatrix, applyMatrixToPoint } from './matrix'
+import type { TransformState, Viewport, TransformMatrixData, Point, Rect, BoundaryMode, ResizePolicy } from './types'
+
+type BoundsOptions = {
+  enableBoundingBox?: boolean,
+  boundaryRatioVertical: number,
+  boundaryRatioHorizontal: number,
+  boundaryMode?: BoundaryMode,
+  bounds?: Rect,
+}
+
+type ZoomOptions = {
+  minZoom: number,
+  maxZoom: number,
+}
+
+type TransformCoordinates = {
+  top: number,
+  left: number,
+  width: number,
+  height: number,
+}
+
+export type BoundCoordinates = {
+  boundX: number,
+  boundY: number,
+  offsetX: number,
+  offsetY: number,
+}
+
+export const createViewport = (viewport?: $Shape<Viewport> = {}): Viewport => ({
+  containerWidth: 0,
+  containerHeight: 0,
+  contentWidth: 0,
+  contentHeight: 0,
+  contentTop: 0,
+  contentLeft: 0,
+  ...viewport,
+})
+
+// The content is rotated around its center
+export const getTransformMatrix = (viewport: Viewport, x: number, y: number, scale: number, rotate: number): TransformMatrixData => {
+  const centerX = viewport.contentWidth / 2
+  const centerY = viewport.contentHeight / 2
+  return TransformMatrix(rotate, centerX, centerY, scale, x, y)
+}
+
+export const getTransformString = (viewport: Viewport, { x, y, scale, rotate }: TransformState) => {
+  const { a, b, c, d, x: transformX, y: transformY } = getTransformMatrix(viewport, x, y, scale, rotate)
+  return getTransformMatrixString(a, b, c, d, transformX, transformY)
+}
+
+// Container point where the content point is displayed
+export const getContainerPoint = (viewport: Viewport, state: TransformState, point: Point): Point => {
+  const { x, y, scale, rotate } = state
+  return applyMatrixToPoint(getTransformMatrix(viewport, x, y, scale, rotate), point)
+}
+
+// Content point displayed at the container point
+export const getContentPoint = (viewport: Viewport, state: TransformState, point: Point): Point => {
+  const { x, y, scale, rotate } = state
+  return applyMatrixToPoint(invertTransformMatrix(getTransformMatrix(viewport, x, y, scale, rotate)), point)
+}
+
+// Bounding box of the rectangle once transformed by the matrix
+const transformRect = (matrix: TransformMatrixData, rect: Rect): Rect => {
+  const corners = [
+    { x: rect.x, y: rect.y },
+    { x: rect.x + rect.width, y: rect.y },
+    { x: rect.x + rect.width, y: rect.y + rect.height },
+    { x: rect.x, y: rect.y + rect.height },
+  ].map(corner => applyMatrixToPoint(matrix, corner))
+  const xs = corners.map(corner => corner.x)
+  const ys = corners.map(corner => corner.y)
+  const x = Math.min(...xs)
+  const y = Math.min(...ys)
+
+  return {
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y,
+  }
+}
+
+// Container rectangle covering the content rectangle
+export const getContainerRect = (viewport: Viewport, state: TransformState, rect: Rect): Rect => {
+  const { x, y, scale, rotate } = state
+  return transformRect(getTransformMatrix(viewport, x, y, scale, rotate), rect)
+}
+
+// Content rectangle covering the container rectangle
+export const getContentRect = (viewport: Viewport, state: TransformState, rect: Rect): Rect => {
+  const { x, y, scale, rotate } = state
+  return transformRect(invertTransformMatrix(getTransformMatrix(viewport, x, y, scale, rotate)), rect)
+}
+
+// Position of the content so that the content point is displayed at the container point
+// with the given scale and rotation
+export const getPositionForPoint = (viewport: Viewport, contentPoint: Point, containerPoint: Point, scale: number, rotate: number): Point => {
+  // the translation part of the matrix is linear in x / y, compute it for a null position
+  const { x, y } = applyMatrixToPoint(getTransformMatrix(viewport, 0, 0, scale, rotate), contentPoint)
+  return {
+    x: containerPoint.x - x,
+    y: containerPoint.y - y,
+  }
+}
+
+// Bounding box of the content in the container coordinates
+export const getTransformedContentCoordinates = (viewport: Viewport, angle: number, scale: number, offsetX: number, offsetY: number): TransformCoordinates => {
+  const { contentTop, contentLeft, contentWidth, contentHeight } = viewport
+  const centerX = contentWidth / 2
+  const centerY = contentHeight / 2
+
+  const _applyTransformMatrix = applyTransformMatrix(angle, centerX, centerY, scale, offsetX, offsetY)
+
+  const [x1, y1] = _applyTransformMatrix(contentLeft, contentTop)
+  const [x2, y2] = _applyTransformMatrix(contentLeft + contentWidth, contentTop)
+  const [x3, y3] = _applyTransformMatrix(contentLeft + contentWidth, contentTop + contentHeight)
+  const [x4, y4] = _applyTransformMatrix(contentLeft, contentTop + contentHeight)
+
+  return {
+    top: Math.min(y1, y2, y3, y4),
+    left: Math.min(x1, x2, x3, x4),
+    width: Math.max(x1, x2, x3, x4) - Math.min(x1, x2, x3, x4),
+    height: Math.max(y1, y2, y3, y4) - Math.min(y1, y2, y3, y4),
+  }
+}
+
+// Distance to move the [start, start + size] segment by to fit it in the [min, min + length] segment,
+// it is centered when too large
+const getSegmentShift = (start: number, size: number, min: number, length: number) => {
+  if (size > length) {
+    return (min + length / 2) - (start + size / 2)
+  }
+  if (start < min) {
+    return min - start
+  }
+  if (start + size > min + length) {
+    return (min + length) - (start + size)
+  }
+  return 0
+}
+
+// Region of the content the bounding box applies to
+const getBoundsRect = (viewport: Viewport, options: BoundsOptions): Rect => options.bounds || {
+  x: viewport.contentLeft,
+  y: viewport.contentTop,
+  width: viewport.contentWidth,
+  height: viewport.contentHeight,
+}
+
+// Translation, in container coordinates, bringing the content back in the bounding box
+const getBoundsCorrection = (viewport: Viewport, options: BoundsOptions, state: TransformState): Point => {
+  const { boundaryMode = 'ratio', boundaryRatioVertical, boundaryRatioHorizontal } = options
+  const { containerHeight, containerWidth } = viewport
+  const region = getBoundsRect(viewport, options)
+
+  if (boundaryMode === 'contain') {
+    // the bounding box of the rotated region has to stay in the container
+    const { x, y, width, height } = getContainerRect(viewport, state, region)
+    return {
+      x: getSegmentShift(x, width, 0, containerWidth),
+      y: getSegmentShift(y, height, 0, containerHeight),
+    }
+  }
+
+  if (boundaryMode === 'cover') {
+    // the region is axis aligned in content coordinates, so the container is kept inside it
+    // by working in the content coordinates and converting the shift back
+    const visible = getContentRect(viewport, state, { x: 0, y: 0, width: containerWidth, height: containerHeight })
+    const shiftX = getSegmentShift(visible.x, visible.width, region.x, region.width)
+    const shiftY = getSegmentShift(visible.y, visible.height, region.y, region.height)
+    const { a, b, c, d } = getTransformMatrix(viewport, state.x, state.y, state.scale, state.rotate)
+    // moving the visible area forward moves the content backward
+    return {
+      x: -(shiftX * a + shiftY * c),
+      y: -(shiftX * b + shiftY * d),
+    }
+  }
+
+  if (boundaryMode !== 'ratio') {
+    throw new Error(`[PanZoom]: unknown boundaryMode "${boundaryMode}", expected one of ratio, contain, cover`)
+  }
+
+  const { y: top, x: left, width, height } = getContainerRect(viewport, state, region)
+
+  // check that computed are inside boundaries otherwise set to the bounding box limits
+  let boundX = left
+  let boundY = top
+
+  if (boundY < -boundaryRatioVertical * height) {
+    boundY = -boundaryRatioVertical * height
+  }
+  else if (boundY > containerHeight - (1 - boundaryRatioVertical) * height) {
+    boundY = containerHeight - (1 - boundaryRatioVertical) * height
+  }
+
+  if (boundX < -boundaryRatioHorizontal * width) {
+    boundX = -boundaryRatioHorizontal * width
+  }
+  else if (boundX > containerWidth - (1 - boundaryRatioHorizontal) * width) {
+    boundX = containerWidth - (1 - boundaryRatioHorizontal) * width
+  }
+
+  return {
+    x: boundX - left,
+    y: boundY - top,
+  }
+}
+
+export const getBoundCoordinates = (viewport: Viewport, options: BoundsOptions, x: number, y: number, newScale: number, rotate?: number = 0, offsetX?: number = 0, offsetY?: number = 0): BoundCoordinates => {
+  if (!options.enableBoundingBox) {
+    return {
+      boundX: x,
+      boundY: y,
+      offsetX: x,
+      offsetY: y,
+    }
+  }
+
+  const correction = getBoundsCorrection(viewport, options, { x: offsetX, y: offsetY, scale: newScale, rotate })
+
+  // return new bounds coordinates for the transform matrix
+  // not the computed x/y coordinates
+  return {
+    boundX: x + correction.x,
+    boundY: y + correction.y,
+    offsetX: offsetX + correction.x,
+    offsetY: offsetY + correction.y,
+  }
+}
+
+// Move the state back in the bounding box
+export const applyBounds = (viewport: Viewport, options: BoundsOptions, state: TransformState): TransformState => {
+  if (!options.enableBoundingBox) {
+    return state
+  }
+
+  const { x, y, scale, rotate } = state
+  const { x: transformX, y: transformY } = getTransformMatrix(viewport, x, y, scale, rotate)
+  const { offsetX, offsetY } = getBoundCoordinates(viewport, options, transformX, transformY, scale, rotate, x, y)
+  return { x: offsetX, y: offsetY, scale, rotate }
+}
+
+// Constraints shared by every operation changing the transform: the scale is clamped to the zoom limits,
+// then the content is moved back in the bounding box using the resulting scale and rotation
+export const constrain = (viewport: Viewport, options: BoundsOptions & ZoomOptions, state: TransformState): TransformState => {
+  const { minZoom, maxZoom } = options
+  const scale = Math.min(maxZoom, Math.max(minZoom, state.scale))
+  return applyBounds(viewport, options, { ...state, scale })
+}
+
+export const getScaleMultiplier = (delta: number, zoomSpeed: number) => {
+  let speed = 0.065 * zoomSpeed
+  let scaleMultiplier = 1
+  if (delta > 0) { // zoom out
+    scaleMultiplier = (1 - speed)
+  } else if (delta < 0) { // zoom in
+    scaleMultiplier = (1 + speed)
+  }
+
+  return scaleMultiplier
+}
+
+// Pixels scrolled by a line or a page of wheel delta (WheelEvent.deltaMode)
+const WHEEL_LINE_HEIGHT = 40
+const WHEEL_DELTA_MODE_LINE = 1
+const WHEEL_DELTA_MODE_PAGE = 2
+
+// Larger deltas, e.g. a page, would zoom or pan by a whole screen at once
+const MAX_WHEEL_DELTA = 250
+
+// A 100px notch of a mouse wheel zooms by the same step as getScaleMultiplier
+const WHEEL_ZOOM_RATIO = Math.log(1.065) / 100
+// The trackpad pinch sends small deltas, the zoom follows the fingers more closely
+const PINCH_ZOOM_RATIO = 0.01
+
+// Wheel delta converted to pixels, pageSize being the size of the scrolled area
+export const normalizeWheelDelta = (delta: number, deltaMode: number, pageSize: number) => {
+  let pixels = delta
+  if (deltaMode === WHEEL_DELTA_MODE_LINE) {
+    pixels = delta * WHEEL_LINE_HEIGHT
+  } else if (deltaMode === WHEEL_DELTA_MODE_PAGE) {
+    pixels = delta * pageSize
+  }
+
+  return Math.max(-MAX_WHEEL_DELTA, Math.min(MAX_WHEEL_DELTA, pixels))
+}
+
+// Unlike getScaleMultiplier, the zoom is proportional to the delta in pixels so that
+// high resolution trackpads do not zoom faster than a notched mouse wheel
+export const getWheelScaleMultiplier = (delta: number, zoomSpeed: number, pinch?: boolean) => {
+  const ratio = pinch ? PINCH_ZOOM_RATIO : WHEEL_ZOOM_RATIO
+  return Math.exp(-delta * ratio * zoomSpeed)
+}
+
+// New position of the content after moving it by dx / dy, constrained by the bounding box
+export const moveBy = (viewport: Viewport, options: BoundsOptions, state: TransformState, dx: number, dy: number): $Shape<TransformState> => {
+  const { x, y } = applyBounds(viewport, options, { ...state, x: state.x + dx, y: state.y + dy })
+  return { x, y }
+}
+
+// New position and scale after zooming by ratio around the (x, y) container point,
+// the content point under it stays in place whatever the rotation.
+// Returns null if the zoom is already at its limit
+export const zoomTo = (viewport: Viewport, options: BoundsOptions & ZoomOptions, state: TransformState, x: number, y: number, ratio: number): ?$Shape<TransformState> => {
+  const { minZoom, maxZoom } = options
+  const { scale, rotate } = state
+
+  let newScale = scale * ratio
+  if (newScale < minZoom) {
+    if (scale === minZoom) {
+      return null
+    }
+    newScale = minZoom
+  }
+  else if (newScale > maxZoom) {
+    if (scale === maxZoom) {
+      return null
+    }
+    newScale = maxZoom
+  }
+
+  return zoomToScale(viewport, options, state, x, y, newScale)
+}
+
+// Zoom to exactly `scale` while keeping the point x / y of the container in place
+export const zoomToScale = (viewport: Viewport, options: BoundsOptions & ZoomOptions, state: TransformState, x: number, y: number, scale: number): $Shape<TransformState> => {
+  const { rotate } = state
+  const point = { x, y }
+  const { x: newX, y: newY } = getPositionForPoint(viewport, getContentPoint(viewport, state, point), point, scale, rotate)
+
+  return constrain(viewport, options, { x: newX, y: newY, scale, rotate })
+}
+
+// Scales closer than this ratio are considered to be on the same zoom step
+const ZOOM_STEP_TOLERANCE = 1e-6
+
+// Next zoom step above (direction > 0) or below (direction < 0) the scale, null past the last step
+export const getNextZoomStep = (zoomSteps: Array<number>, scale: number, direction: number): ?number => {
+  const steps = [...zoomSteps].sort((a, b) => a - b)
+  if (direction > 0) {
+    const step = steps.find(step => step > scale * (1 + ZOOM_STEP_TOLERANCE))
+    return step === undefined ? null : step
+  }
+
+  const step = steps.reverse().find(step => step < scale * (1 - ZOOM_STEP_TOLERANCE))
+  return step === undefined ? null : step
+}
+
+// Zoom step the closest to the scale, 150% being as far from 100% as 300% is from 200%
+export const getNearestZoomStep = (zoomSteps: Array<number>, scale: number): ?number => {
+  let nearest = null
+  zoomSteps.forEach(step => {
+    if (nearest === null || Math.abs(Math.log(step / scale)) < Math.abs(Math.log(nearest / scale))) {
+      nearest = step
+    }
+  })
+  return nearest
+}
+
+// The overscroll tends to maxOverscroll, the lower the coefficient the stronger the resistance
+const RUBBER_BAND_COEFFICIENT = 0.55
+
+// Distance the content is displayed past the bounding box when dragged by `distance` past it
+export const getOverscroll = (distance: number, maxOverscroll: number) => {
+  if (maxOverscroll <= 0) {
+    return 0
+  }
+  const overscroll = maxOverscroll * (1 - 1 / (Math.abs(distance) * RUBBER_BAND_COEFFICIENT / maxOverscroll + 1))
+  return Math.sign(distance) * overscroll
+}
+
+// Inverse of getOverscroll
+export const getOverscrollDistance = (overscroll: number, maxOverscroll: number) => {
+  if (maxOverscroll <= 0) {
+    return 0
+  }
+  const ratio = Math.min(Math.abs(overscroll) / maxOverscroll, 0.99)
+  return Math.sign(overscroll) * maxOverscroll * ratio / (RUBBER_BAND_COEFFICIENT * (1 - ratio))
+}
+
+// New position of the content after moving it by dx / dy, letting it go past the bounding box
+// with a resistance growing with the distance
+export const overscrollBy = (viewport: Viewport, options: BoundsOptions & { maxOverscroll: number }, state: TransformState, dx: number, dy: number): $Shape<TransformState> => {
+  const { maxOverscroll } = options
+  const bounded = applyBounds(viewport, options, state)
+
+  // position the content would have without the bounding box
+  const x = bounded.x + getOverscrollDistance(state.x - bounded.x, maxOverscroll) + dx
+  const y = bounded.y + getOverscrollDistance(state.y - bounded.y, maxOverscroll) + dy
+  const next = applyBounds(viewport, options, { ...state, x, y })
+
+  return {
+    x: next.x + getOverscroll(x - next.x, maxOverscroll),
+    y: next.y + getOverscroll(y - next.y, maxOverscroll),
+  }
+}
+
+// Scale, rotate and move the content at once, so that the content point displayed at `from`
+// ends up at `to`. Used for multi-pointer gestures
+export const transformAround = (viewport: Viewport, options: BoundsOptions & ZoomOptions, state: TransformState, from: Point, to: Point, ratio: number, angle: number): TransformState => {
+  const { minZoom, maxZoom } = options
+  const scale = Math.min(maxZoom, Math.max(minZoom, state.scale * ratio))
+  const rotate = state.rotate + angle
+
+  const contentPoint = getContentPoint(viewport, state, from)
+  const { x, y } = getPositionForPoint(viewport, contentPoint, to, scale, rotate)
+
+  return constrain(viewport, options, { x, y, scale, rotate })
+}
+
+// Size of the rectangle once rotated
+const getRotatedSize = (viewport: Viewport, rect: Rect, rotate: number) => {
+  const { width, height } = transformRect(getTransformMatrix(viewport, 0, 0, 1, rotate), rect)
+  return { width, height }
+}
+
+// Transform fitting the content rectangle in the center of the container, keeping the current rotation
+export const fitRect = (viewport: Viewport, options: BoundsOptions & ZoomOptions, rect: Rect, rotate: number = 0, padding: number = 0, maxScale: number = Infinity): TransformState => {
+  const { minZoom, maxZoom } = options
+  const { containerWidth, containerHeight } = viewport
+
+  if (rect.width <= 0 && rect.height <= 0) {
+    throw new Error('[PanZoom]: cannot fit a rectangle without width and height')
+  }
+
+  const { width, height } = getRotatedSize(viewport, rect, rotate)
+
+  const availableWidth = Math.max(0, containerWidth - 2 * padding)
+  const availableHeight = Math.max(0, containerHeight - 2 * padding)
+  let scale = Math.min(availableWidth / width, availableHeight / height, maxScale)
+  scale = Math.min(maxZoom, Math.max(minZoom, scale))
+
+  const center = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 }
+  const { x, y } = getPositionForPoint(viewport, center, { x: containerWidth / 2, y: containerHeight / 2 }, scale, rotate)
+
+  return constrain(viewport, options, { x, y, scale, rotate })
+}
+
+// Transform fitting the content in the center of the container, the rotated content is fitted using its bounding box
+export const autoCenter = (viewport: Viewport, options: BoundsOptions & ZoomOptions, zoomLevel: number = 1, rotate: number = 0): TransformState => {
+  const { minZoom, maxZoom } = options
+  const { containerWidth, containerHeight, contentWidth, contentHeight } = viewport
+  const { width, height } = getRotatedSize(viewport, { x: 0, y: 0, width: contentWidth, height: contentHeight }, rotate)
+  const widthRatio = containerWidth / width
+  const heightRatio = containerHeight / height
+  let scale = Math.min(widthRatio, heightRatio) * zoomLevel
+
+  if (scale < minZoom) {
+    console.warn(`[PanZoom]: initial zoomLevel produces a scale inferior to minZoom, reverted to default: ${minZoom}. Consider using a zoom level > ${minZoom}`)
+    scale = minZoom
+  }
+  else if (scale > maxZoom) {
+    console.warn(`[PanZoom]: initial zoomLevel produces a scale superior to maxZoom, reverted to default: ${maxZoom}. Consider using a zoom level < ${maxZoom}`)
+    scale = maxZoom
+  }
+
+  const center = { x: contentWidth / 2, y: contentHeight / 2 }
+  const { x, y } = getPositionForPoint(viewport, center, { x: containerWidth / 2, y: containerHeight / 2 }, scale, rotate)
+
+  // explicit bounds do not necessarily surround the center of the content
+  return constrain(viewport, options, { x, y, scale, rotate })
+}
+
+// Transform adapted to the new size of the container or the content, constrained by the bounding box
+export const resize = (prevViewport: Viewport, viewport: Viewport, options: BoundsOptions & ZoomOptions, state: TransformState, policy: ResizePolicy, zoomLevel: number = 1): TransformState => {
+  if (policy === 'none') {
+    return state
+  }
+
+  if (policy === 'refit') {
+    return autoCenter(viewport, options, zoomLevel, state.rotate)
+  }
+
+  const anchor = policy === 'keep-center'
+    ? { x: prevViewport.containerWidth / 2, y: prevViewport.containerHeight / 2 }
+    : { x: 0, y: 0 }
+  const target = policy === 'keep-center'
+    ? { x: viewport.containerWidth / 2, y: viewport.containerHeight / 2 }
+    : { x: 0, y: 0 }
+  // the content being rotated around its center, the same x / y would move it when its size changes
+  const contentPoint = getContentPoint(prevViewport, state, anchor)
+  const { x, y } = getPositionForPoint(viewport, contentPoint, target, state.scale, state.rotate)
+
+  return constrain(viewport, options, { ...state, x, y })
+}
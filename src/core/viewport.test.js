@@ -0,0 +1,354 @@
+/**
+ * @jest-environment node
+ */
+import { applyTransformMatrix, invertTransformMatrix, applyMatrixToPoint } from './matrix'
+import { createViewport, getTransformMatrix, getBoundCoordinates, getContainerPoint, getContentPoint, getContainerRect, getContentRect, applyBounds, constrain, getOverscroll, getOverscrollDistance, overscrollBy, normalizeWheelDelta, getWheelScaleMultiplier, moveBy, zoomTo, zoomToScale, getNextZoomStep, getNearestZoomStep, transformAround, fitRect, autoCenter, resize } from './viewport'
+
+const viewport = createViewport({
+  containerWidth: 400,
+  containerHeight: 300,
+  contentWidth: 200,
+  contentHeight: 100,
+})
+
+const boundsOptions = {
+  enableBoundingBox: true,
+  boundaryRatioVertical: 0.8,
+  boundaryRatioHorizontal: 0.8,
+}
+
+describe('TransformMatrix', () => {
+  it('Should translate and scale without rotation', () => {
+    expect(getTransformMatrix(viewport, 10, 20, 2, 0)).toEqual({ a: 2, b: 0, c: -0, d: 2, x: 10, y: 20 })
+  })
+
+  it('Should rotate around the content center', () => {
+    const [x, y] = applyTransformMatrix(90, 100, 50, 1, 0, 0)(100, 50)
+    expect(x).toBeCloseTo(100)
+    expect(y).toBeCloseTo(50)
+
+    const [x2, y2] = applyTransformMatrix(90, 100, 50, 1, 0, 0)(200, 50)
+    expect(x2).toBeCloseTo(100)
+    expect(y2).toBeCloseTo(150)
+  })
+})
+
+describe('invertTransformMatrix', () => {
+  it('Should map container points back to the content', () => {
+    const matrix = getTransformMatrix(viewport, 10, 20, 2, 30)
+    const point = applyMatrixToPoint(invertTransformMatrix(matrix), applyMatrixToPoint(matrix, { x: 40, y: 70 }))
+    expect(point.x).toBeCloseTo(40)
+    expect(point.y).toBeCloseTo(70)
+  })
+})
+
+describe('getBoundCoordinates', () => {
+  it('Should not constrain when the bounding box is disabled', () => {
+    expect(getBoundCoordinates(viewport, { ...boundsOptions, enableBoundingBox: false }, -1000, 1000, 1))
+      .toEqual({ boundX: -1000, boundY: 1000, offsetX: -1000, offsetY: 1000 })
+  })
+
+  it('Should keep part of the content inside the container', () => {
+    const { boundX, boundY } = getBoundCoordinates(viewport, boundsOptions, -1000, 1000, 1, 0, -1000, 1000)
+    expect(boundX).toBeCloseTo(-160)
+    expect(boundY).toBeCloseTo(280)
+  })
+})
+
+describe('moveBy', () => {
+  it('Should move the content', () => {
+    expect(moveBy(viewport, boundsOptions, { x: 0, y: 0, scale: 1, rotate: 0 }, 10, -10)).toEqual({ x: 10, y: -10 })
+  })
+})
+
+describe('wheel', () => {
+  it('Should convert the lines and the pages to pixels', () => {
+    expect(normalizeWheelDelta(-3, 0, 300)).toBe(-3)
+    expect(normalizeWheelDelta(3, 1, 300)).toBe(120)
+    expect(normalizeWheelDelta(0.5, 2, 300)).toBe(150)
+    expect(normalizeWheelDelta(-1, 2, 300)).toBe(-250)
+  })
+
+  it('Should zoom proportionally to the delta', () => {
+    expect(getWheelScaleMultiplier(100, 1)).toBeCloseTo(1 / 1.065)
+    expect(getWheelScaleMultiplier(-100, 1)).toBeCloseTo(1.065)
+    expect(getWheelScaleMultiplier(-4, 1)).toBeCloseTo(Math.pow(1.065, 0.04))
+    expect(getWheelScaleMultiplier(-10, 1, true)).toBeCloseTo(Math.exp(0.1))
+  })
+})
+
+describe('zoomTo', () => {
+  const options = { ...boundsOptions, enableBoundingBox: false, minZoom: 0.5, maxZoom: 2 }
+
+  it('Should keep the zoom point fixed', () => {
+    const { x, y, scale } = zoomTo(viewport, options, { x: 0, y: 0, scale: 1, rotate: 0 }, 100, 50, 1.5)
+    expect(scale).toBe(1.5)
+    // content point under (100, 50) is (100, 50) before zooming
+    expect(x + 100 * scale).toBeCloseTo(100)
+    expect(y + 50 * scale).toBeCloseTo(50)
+  })
+
+  it('Should clamp the scale and ignore zooming past the limits', () => {
+    expect(zoomTo(viewport, options, { x: 0, y: 0, scale: 1.5, rotate: 0 }, 0, 0, 10).scale).toBe(2)
+    expect(zoomTo(viewport, options, { x: 0, y: 0, scale: 2, rotate: 0 }, 0, 0, 10)).toBe(null)
+  })
+})
+
+describe('zoom steps', () => {
+  const steps = [2, 0.25, 1, 0.5, 4]
+
+  it('Should find the next zoom step in both directions', () => {
+    expect(getNextZoomStep(steps, 1, 1)).toBe(2)
+    expect(getNextZoomStep(steps, 1, -1)).toBe(0.5)
+    expect(getNextZoomStep(steps, 1.1329, -1)).toBe(1)
+    expect(getNextZoomStep(steps, 1.9999999, 1)).toBe(4)
+    expect(getNextZoomStep(steps, 4, 1)).toBe(null)
+    expect(getNextZoomStep(steps, 0.25, -1)).toBe(null)
+  })
+
+  it('Should find the nearest zoom step', () => {
+    expect(getNearestZoomStep(steps, 1.3)).toBe(1)
+    expect(getNearestZoomStep(steps, 1.5)).toBe(2)
+    expect(getNearestZoomStep(steps, 10)).toBe(4)
+    expect(getNearestZoomStep([], 1)).toBe(null)
+  })
+
+  it('Should zoom to the exact scale around a point', () => {
+    const options = { ...boundsOptions, enableBoundingBox: false, minZoom: 0.5, maxZoom: 2 }
+    const { x, y, scale } = zoomToScale(viewport, options, { x: 10, y: 0, scale: 1.1329, rotate: 0 }, 100, 50, 2)
+
+    expect(scale).toBe(2)
+    expect(x + (100 - 10) / 1.1329 * scale).toBeCloseTo(100)
+    expect(y + 50 / 1.1329 * scale).toBeCloseTo(50)
+    expect(zoomToScale(viewport, options, { x: 0, y: 0, scale: 1, rotate: 0 }, 0, 0, 8).scale).toBe(2)
+  })
+})
+
+describe('autoCenter', () => {
+  it('Should fit and center the content', () => {
+    expect(autoCenter(viewport, { minZoom: 0, maxZoom: Infinity })).toEqual({ x: 0, y: 50, scale: 2, rotate: 0 })
+  })
+})
+
+describe('transformAround', () => {
+  const options = { ...boundsOptions, enableBoundingBox: false, minZoom: 0, maxZoom: Infinity }
+
+  it('Should keep the content point under the moving pointers', () => {
+    const state = { x: 10, y: 20, scale: 1.5, rotate: 10 }
+    const newState = transformAround(viewport, options, state, { x: 100, y: 100 }, { x: 150, y: 120 }, 2, 30)
+
+    expect(newState.scale).toBe(3)
+    expect(newState.rotate).toBe(40)
+
+    const contentPoint = applyMatrixToPoint(invertTransformMatrix(getTransformMatrix(viewport, 10, 20, 1.5, 10)), { x: 100, y: 100 })
+    const point = getContainerPoint(viewport, newState, contentPoint)
+    expect(point.x).toBeCloseTo(150)
+    expect(point.y).toBeCloseTo(120)
+  })
+
+  it('Should respect the zoom limits', () => {
+    const newState = transformAround(viewport, { ...options, maxZoom: 2 }, { x: 0, y: 0, scale: 1.5, rotate: 0 }, { x: 0, y: 0 }, { x: 0, y: 0 }, 2, 0)
+    expect(newState.scale).toBe(2)
+  })
+})
+
+describe('fitRect', () => {
+  const options = { minZoom: 0, maxZoom: Infinity }
+  const rect = { x: 0, y: 0, width: 100, height: 50 }
+
+  it('Should center the rectangle in the container', () => {
+    expect(fitRect(viewport, options, rect)).toEqual({ x: 0, y: 50, scale: 4, rotate: 0 })
+    expect(fitRect(viewport, options, rect, 0, 50).scale).toBe(3)
+  })
+
+  it('Should fit the rotated rectangle', () => {
+    const newState = fitRect(viewport, options, rect, 90)
+    expect(newState.scale).toBeCloseTo(3)
+    expect(newState.rotate).toBe(90)
+
+    const center = getContainerPoint(viewport, newState, { x: 50, y: 25 })
+    expect(center.x).toBeCloseTo(200)
+    expect(center.y).toBeCloseTo(150)
+  })
+
+  it('Should respect maxScale and the zoom limits', () => {
+    expect(fitRect(viewport, options, rect, 0, 0, 2).scale).toBe(2)
+    expect(fitRect(viewport, { minZoom: 0, maxZoom: 1.5 }, rect, 0, 0, 2).scale).toBe(1.5)
+    expect(fitRect(viewport, { minZoom: 5, maxZoom: 10 }, rect).scale).toBe(5)
+  })
+
+  it('Should throw on empty rectangles', () => {
+    expect(() => fitRect(viewport, options, { x: 0, y: 0, width: 0, height: 0 })).toThrow()
+  })
+})
+
+describe('coordinates conversion', () => {
+  const state = { x: 10, y: 20, scale: 2, rotate: 90 }
+
+  it('Should convert points both ways', () => {
+    const point = getContainerPoint(viewport, state, { x: 100, y: 50 })
+    // the content center does not move with the rotation
+    expect(point.x).toBeCloseTo(210)
+    expect(point.y).toBeCloseTo(120)
+
+    const contentPoint = getContentPoint(viewport, state, { x: 30, y: 40 })
+    const containerPoint = getContainerPoint(viewport, state, contentPoint)
+    expect(containerPoint.x).toBeCloseTo(30)
+    expect(containerPoint.y).toBeCloseTo(40)
+  })
+
+  it('Should convert rectangles to their rotated bounding box', () => {
+    const rect = getContainerRect(viewport, state, { x: 0, y: 0, width: 200, height: 100 })
+    expect(rect.x).toBeCloseTo(110)
+    expect(rect.y).toBeCloseTo(-80)
+    expect(rect.width).toBeCloseTo(200)
+    expect(rect.height).toBeCloseTo(400)
+
+    const contentRect = getContentRect(viewport, state, rect)
+    expect(contentRect.x).toBeCloseTo(0)
+    expect(contentRect.y).toBeCloseTo(0)
+    expect(contentRect.width).toBeCloseTo(200)
+    expect(contentRect.height).toBeCloseTo(100)
+  })
+})
+
+describe('boundary modes', () => {
+  const contain = { ...boundsOptions, boundaryMode: 'contain', minZoom: 0, maxZoom: Infinity }
+  const cover = { ...boundsOptions, boundaryMode: 'cover', minZoom: 0, maxZoom: Infinity }
+
+  it('Should keep the content inside the container', () => {
+    expect(moveBy(viewport, contain, { x: 0, y: 0, scale: 1, rotate: 0 }, 500, -50)).toEqual({ x: 200, y: 0 })
+    // too large to be contained, the content is centered
+    expect(applyBounds(viewport, contain, { x: 0, y: 0, scale: 4, rotate: 0 })).toEqual({ x: -200, y: -50, scale: 4, rotate: 0 })
+  })
+
+  it('Should keep the rotated content inside the container', () => {
+    const state = applyBounds(viewport, contain, { x: 0, y: 0, scale: 1, rotate: 90 })
+    const rect = getContainerRect(viewport, state, { x: 0, y: 0, width: 200, height: 100 })
+    expect(rect.x).toBeCloseTo(50)
+    expect(rect.y).toBeCloseTo(0)
+  })
+
+  it('Should keep the container covered', () => {
+    expect(moveBy(viewport, cover, { x: 0, y: 0, scale: 4, rotate: 0 }, 100, 100)).toEqual({ x: 0, y: 0 })
+    expect(moveBy(viewport, cover, { x: 0, y: 0, scale: 4, rotate: 0 }, -1000, -1000)).toEqual({ x: -400, y: -100 })
+  })
+
+  it('Should keep the container covered by the rotated content', () => {
+    const state = applyBounds(viewport, cover, { x: 500, y: 500, scale: 8, rotate: 45 })
+    const visible = getContentRect(viewport, state, { x: 0, y: 0, width: 400, height: 300 })
+    expect(visible.x).toBeGreaterThanOrEqual(-1e-6)
+    expect(visible.y).toBeGreaterThanOrEqual(-1e-6)
+    expect(visible.x + visible.width).toBeLessThanOrEqual(200 + 1e-6)
+    expect(visible.y + visible.height).toBeLessThanOrEqual(100 + 1e-6)
+  })
+
+  it('Should use the explicit bounds', () => {
+    const bounds = { x: 50, y: 25, width: 100, height: 50 }
+    expect(applyBounds(viewport, { ...cover, bounds }, { x: 0, y: 0, scale: 8, rotate: 0 })).toEqual({ x: -400, y: -200, scale: 8, rotate: 0 })
+    expect(autoCenter(viewport, { ...cover, bounds: { x: 0, y: 0, width: 50, height: 50 } }, 1)).toEqual({ x: 150, y: 100, scale: 2, rotate: 0 })
+  })
+
+  it('Should throw on unknown modes', () => {
+    expect(() => applyBounds(viewport, { ...boundsOptions, boundaryMode: 'fill' }, { x: 0, y: 0, scale: 1, rotate: 0 })).toThrow()
+  })
+})
+
+describe('rubber band', () => {
+  const options = { ...boundsOptions, boundaryMode: 'contain', maxOverscroll: 100 }
+
+  it('Should resist more and more up to maxOverscroll', () => {
+    expect(getOverscroll(0, 100)).toBe(0)
+    expect(getOverscroll(50, 100)).toBeLessThan(50)
+    expect(getOverscroll(-1000, 100)).toBeGreaterThan(-100)
+    expect(getOverscrollDistance(getOverscroll(-80, 100), 100)).toBeCloseTo(-80)
+  })
+
+  it('Should overscroll from the bounding box', () => {
+    const state = { x: 150, y: 100, scale: 1, rotate: 0 }
+    const first = overscrollBy(viewport, options, state, 100, 0)
+    expect(first.x).toBeCloseTo(200 + getOverscroll(50, 100))
+    expect(first.y).toBe(100)
+
+    // the resistance depends on the total overscroll, not on the number of moves
+    const second = overscrollBy(viewport, options, { ...state, ...first }, 50, 0)
+    expect(second.x).toBeCloseTo(200 + getOverscroll(100, 100))
+
+    // moving back goes through the same positions
+    expect(overscrollBy(viewport, options, { ...state, ...second }, -50, 0).x).toBeCloseTo(first.x)
+  })
+})
+
+describe('constraints', () => {
+  const contain = { ...boundsOptions, boundaryMode: 'contain', minZoom: 0.5, maxZoom: 2 }
+
+  it('Should bound the zoom with the new scale', () => {
+    // the content goes from 300 to 600 once zoomed, 300 to 500 with the previous scale
+    expect(zoomTo(viewport, contain, { x: 200, y: 100, scale: 1, rotate: 0 }, 0, 150, 1.5).x).toBe(100)
+  })
+
+  it('Should clamp the scale and the position together', () => {
+    expect(constrain(viewport, contain, { x: 500, y: 0, scale: 10, rotate: 0 })).toEqual({ x: 0, y: 0, scale: 2, rotate: 0 })
+  })
+})
+
+describe('rotation', () => {
+  const options = { ...boundsOptions, enableBoundingBox: false, minZoom: 0, maxZoom: Infinity }
+  const state = { x: 30, y: -20, scale: 1.5, rotate: 60 }
+
+  it('Should keep the point under the cursor when zooming', () => {
+    const cursor = { x: 120, y: 80 }
+    const contentPoint = getContentPoint(viewport, state, cursor)
+    const newState = zoomTo(viewport, options, state, cursor.x, cursor.y, 2)
+
+    const point = getContainerPoint(viewport, { ...state, ...newState }, contentPoint)
+    expect(point.x).toBeCloseTo(cursor.x)
+    expect(point.y).toBeCloseTo(cursor.y)
+  })
+
+  it('Should fit the rotated content', () => {
+    const newState = autoCenter(viewport, options, 1, 90)
+    // rotated, the content is 100 x 200
+    expect(newState.scale).toBeCloseTo(1.5)
+    expect(newState.rotate).toBe(90)
+
+    const rect = getContainerRect(viewport, newState, { x: 0, y: 0, width: 200, height: 100 })
+    expect(rect.x).toBeCloseTo(125)
+    expect(rect.y).toBeCloseTo(0)
+    expect(rect.width).toBeCloseTo(150)
+    expect(rect.height).toBeCloseTo(300)
+  })
+})
+
+describe('resize', () => {
+  const options = { ...boundsOptions, enableBoundingBox: false, minZoom: 0.5, maxZoom: 4 }
+  const state = { x: 50, y: 20, scale: 2, rotate: 0 }
+  const wider = createViewport({ ...viewport, containerWidth: 600 })
+
+  it('Should keep the point at the center of the container', () => {
+    expect(resize(viewport, wider, options, state, 'keep-center')).toEqual({ x: 150, y: 20, scale: 2, rotate: 0 })
+  })
+
+  it('Should keep the point at the top left corner of the container', () => {
+    expect(resize(viewport, wider, options, state, 'keep-top-left')).toEqual(state)
+
+    // the rotation center moves with the size of the content
+    const rotated = { ...state, rotate: 90 }
+    const larger = createViewport({ ...viewport, contentWidth: 400, contentHeight: 200 })
+    const contentPoint = getContentPoint(viewport, rotated, { x: 0, y: 0 })
+    const point = getContainerPoint(larger, resize(viewport, larger, options, rotated, 'keep-top-left'), contentPoint)
+    expect(point.x).toBeCloseTo(0)
+    expect(point.y).toBeCloseTo(0)
+  })
+
+  it('Should refit the content', () => {
+    expect(resize(viewport, wider, options, state, 'refit')).toEqual({ x: 0, y: 0, scale: 3, rotate: 0 })
+    expect(resize(viewport, wider, options, state, 'none')).toBe(state)
+  })
+
+  it('Should re-apply the bounds', () => {
+    const smaller = createViewport({ ...viewport, containerWidth: 300 })
+    const { x } = resize(viewport, smaller, { ...options, enableBoundingBox: true, boundaryMode: 'contain' }, { x: 150, y: 0, scale: 1, rotate: 0 }, 'keep-top-left')
+    expect(x).toBe(100)
+  })
+})
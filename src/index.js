@@ -1,2 +1,8 @@
 export {default as PanZoom} from './PanZoom'
+export {default as usePanZoom} from './usePanZoom'
+export {default as PanZoomMinimap} from './PanZoomMinimap'
+export {PanZoomContext, PanZoomProvider, usePanZoomContext, usePanZoomTransform} from './PanZoomContext'
+export {PanZoomOverlay, OverlayItem} from './PanZoomOverlay'
+export {ZoomControls, RotationControls, ResetControls, PadControls, ZoomReadout, ZoomSlider, defaultTheme} from './PanZoomControls'
+export {createPanZoom, PanZoomController, createWebStorage, createUrlStorage} from './core'
 export default from './PanZoom'
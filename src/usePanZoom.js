@@ -0,0 +1,143 @@
+// @flow
+import * as React from 'react'
+import PanZoomController, { defaultState, isSameTransform } from './core/PanZoomController'
+import type { PanZoomOptions, TransformState } from './core/types'
+
+export type UsePanZoomOptions = $Shape<PanZoomOptions & {
+  autoCenter: boolean,
+  autoCenterZoomLevel: number,
+  value: TransformState,
+  defaultValue: $Shape<TransformState>,
+  onChange: (value: TransformState) => void,
+}>
+
+const { useState, useReducer, useRef, useLayoutEffect, useEffect, useMemo } = React
+
+const usePanZoom = (options?: UsePanZoomOptions = {}) => {
+  const [state, setState] = useState(() => ({ ...defaultState, ...options.defaultValue }))
+  const [, forceUpdate] = useReducer(count => count + 1, 0)
+
+  // keep the latest options and transform in refs so that the controller
+  // always reads up to date values from its event listeners
+  const optionsRef = useRef(options)
+  optionsRef.current = options
+
+  const transform = options.value !== undefined ? options.value : state
+  const transformRef = useRef(transform)
+  transformRef.current = transform
+
+  const pendingCallbacks = useRef([])
+
+  const controller = useMemo(() => new PanZoomController({
+    getOptions: () => optionsRef.current,
+    getState: () => transformRef.current,
+    setState: (nextState, callback) => {
+      const { value, onChange } = optionsRef.current
+      const proposedState = { ...transformRef.current, ...nextState }
+
+      // e.g. the end of a click without any move
+      if (isSameTransform(proposedState, transformRef.current)) {
+        callback && callback()
+        return
+      }
+
+      if (callback) {
+        pendingCallbacks.current.push(callback)
+      }
+
+      // update the ref right away so that consecutive calls in the same
+      // event handler compose instead of overriding each other
+      transformRef.current = proposedState
+
+      if (value === undefined) {
+        setState(proposedState)
+      } else {
+        // the parent might not render again with the proposed value,
+        // the pending callbacks still have to run
+        forceUpdate()
+      }
+      onChange && onChange(proposedState)
+    },
+  }, { bindEvents: true }), [])
+
+  const { minZoom, maxZoom, autoCenter, autoCenterZoomLevel } = options
+
+  if (minZoom !== undefined && maxZoom !== undefined && maxZoom < minZoom) {
+    throw new Error('[PanZoom]: maxZoom props cannot be inferior to minZoom')
+  }
+
+  // apply the transform on the content element, no wrapper is rendered by the hook.
+  // It is only written once changed, so that the renders of the host component during a pan
+  // with noStateUpdate, the inertia or an animation do not move the content back to the state
+  const appliedTransform = useRef({ element: null, value: '' })
+  useLayoutEffect(() => {
+    const { dragContainer } = controller
+    const value = controller.getTransformString(transform)
+    const applied = appliedTransform.current
+    if (dragContainer && (applied.element !== dragContainer || applied.value !== value)) {
+      dragContainer.style.transformOrigin = '0 0 0'
+      dragContainer.style.transform = value
+      appliedTransform.current = { element: dragContainer, value }
+      controller.notifyTransform()
+    }
+
+    const callbacks = pendingCallbacks.current
+    pendingCallbacks.current = []
+    callbacks.forEach(callback => callback())
+  })
+
+  const isFirstAutoCenter = useRef(true)
+  useLayoutEffect(() => {
+    const isMounted = controller.container && controller.dragContainer
+    // a persisted transform takes precedence over autoCenter
+    const isRestored = isFirstAutoCenter.current && isMounted && controller.restorePersistedState()
+    if (autoCenter && isMounted && !isRestored) {
+      // do not animate when centering on mount
+      controller.autoCenter(autoCenterZoomLevel, !isFirstAutoCenter.current)
+    }
+    isFirstAutoCenter.current = false
+  }, [autoCenter])
+
+  // the transform is only persisted once changed, not on mount
+  const isFirstTransform = useRef(true)
+  useEffect(() => {
+    if (!isFirstTransform.current) {
+      controller.persistTransform(transform)
+    }
+    isFirstTransform.current = false
+  }, [transform.x, transform.y, transform.scale, transform.rotate])
+
+  useEffect(() => {
+    controller.checkKeyMap()
+  }, [options.keyMap])
+
+  useEffect(() => controller.destroy, [])
+
+  return {
+    containerRef: controller.setContainer,
+    contentRef: controller.setDragContainer,
+    transform,
+    animateTo: controller.animateTo,
+    stopAnimation: controller.stopAnimation,
+    autoCenter: controller.autoCenter,
+    moveByRatio: controller.moveByRatio,
+    moveBy: controller.moveBy,
+    rotate: controller.rotate,
+    rotateAround: controller.rotateAround,
+    zoomAbs: controller.zoomAbs,
+    setZoom: controller.setZoom,
+    zoomToRect: controller.zoomToRect,
+    zoomToElement: controller.zoomToElement,
+    screenToContent: controller.screenToContent,
+    contentToScreen: controller.contentToScreen,
+    screenRectToContent: controller.screenRectToContent,
+    contentRectToScreen: controller.contentRectToScreen,
+    zoomTo: controller.zoomTo,
+    zoomIn: controller.zoomIn,
+    zoomOut: controller.zoomOut,
+    reset: controller.reset,
+    controller,
+  }
+}
+
+export default usePanZoom
@@ -0,0 +1,155 @@
+import * as React from 'react'
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+import usePanZoom from './usePanZoom'
+
+describe('usePanZoom', () => {
+  let root = null
+
+  beforeEach(() => {
+    root = document.createElement('div')
+    document.body.appendChild(root)
+  })
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(root)
+    document.body.removeChild(root)
+  })
+
+  const render = (options) => {
+    const result = {}
+    const Viewer = () => {
+      const panZoom = usePanZoom(options)
+      result.panZoom = panZoom
+      return (
+        <div ref={panZoom.containerRef} id="container">
+          <div ref={panZoom.contentRef} id="content" />
+        </div>
+      )
+    }
+    act(() => {
+      ReactDOM.render(<Viewer />, root)
+    })
+    return result
+  }
+
+  it('Should apply the transform on the content element', () => {
+    const result = render({ defaultValue: { x: 10, y: 20 } })
+    const content = document.getElementById('content')
+
+    expect(result.panZoom.transform).toEqual({ x: 10, y: 20, scale: 1, rotate: 0 })
+    expect(content.style.transform).toBe('matrix(1, 0, 0, 1, 10, 20)')
+  })
+
+  it('Should expose the imperative actions', () => {
+    const result = render()
+    act(() => {
+      result.panZoom.moveBy(5, 15, false)
+    })
+    act(() => {
+      result.panZoom.rotate(prevAngle => prevAngle + 90)
+    })
+
+    expect(result.panZoom.transform).toEqual({ x: 5, y: 15, scale: 1, rotate: 90 })
+  })
+
+  it('Should make the container focusable for keyboard interactions', () => {
+    render()
+    expect(document.getElementById('container').getAttribute('tabindex')).toBe('0')
+  })
+
+  it('Should not update the transform when controlled', () => {
+    const onChange = jest.fn()
+    const value = { x: 0, y: 0, scale: 1, rotate: 0 }
+    const result = render({ value, onChange })
+    act(() => {
+      result.panZoom.zoomIn()
+    })
+
+    expect(onChange).toHaveBeenCalledTimes(1)
+    expect(result.panZoom.transform).toBe(value)
+  })
+
+  it('Should restore the transform displayed when a proposal is rejected', () => {
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => {
+      callback()
+      return 1
+    })
+    const value = { x: 0, y: 0, scale: 1, rotate: 0 }
+    render({ value, onChange: () => {}, enableInertia: false })
+    const container = document.getElementById('container')
+    const content = document.getElementById('content')
+
+    // jsdom does not implement PointerEvent
+    const pointerEvent = (type, clientX) => {
+      const event = new MouseEvent(type, { clientX, clientY: 0, button: 0, bubbles: true })
+      Object.defineProperty(event, 'pointerId', { value: 1 })
+      act(() => {
+        container.dispatchEvent(event)
+      })
+    }
+    pointerEvent('pointerdown', 0)
+    pointerEvent('pointermove', 50)
+    expect(content.style.transform).toBe('matrix(1, 0, 0, 1, 50, 0)')
+
+    pointerEvent('pointerup', 50)
+    expect(content.style.transform).toBe('matrix(1, 0, 0, 1, 0, 0)')
+    jest.restoreAllMocks()
+  })
+
+  it('Should not move the content back when rendering during a pan', () => {
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => {
+      callback()
+      return 1
+    })
+    let rerender = null
+    const Viewer = () => {
+      const [, setCount] = React.useState(0)
+      rerender = () => setCount(count => count + 1)
+      const panZoom = usePanZoom()
+      return (
+        <div ref={panZoom.containerRef} id="container">
+          <div ref={panZoom.contentRef} id="content" />
+        </div>
+      )
+    }
+    act(() => {
+      ReactDOM.render(<Viewer />, root)
+    })
+    const container = document.getElementById('container')
+    const content = document.getElementById('content')
+
+    const pointerEvent = (type, clientX) => {
+      const event = new MouseEvent(type, { clientX, clientY: 0, button: 0, bubbles: true })
+      Object.defineProperty(event, 'pointerId', { value: 1 })
+      act(() => {
+        container.dispatchEvent(event)
+      })
+    }
+    pointerEvent('pointerdown', 0)
+    pointerEvent('pointermove', 50)
+    act(() => {
+      rerender()
+    })
+
+    expect(content.style.transform).toBe('matrix(1, 0, 0, 1, 50, 0)')
+    pointerEvent('pointercancel', 50)
+    jest.restoreAllMocks()
+  })
+
+  it('Should restore and persist the transform', () => {
+    jest.useFakeTimers()
+    const storage = { read: () => ({ x: 10, y: 20, scale: 2, rotate: 0 }), write: jest.fn() }
+    const result = render({ persist: { id: 'plan', storage } })
+    expect(result.panZoom.transform).toEqual({ x: 10, y: 20, scale: 2, rotate: 0 })
+
+    act(() => {
+      result.panZoom.moveBy(5, 0, false)
+    })
+    act(() => {
+      jest.runAllTimers()
+    })
+    expect(storage.write).toHaveBeenLastCalledWith('plan', { x: 15, y: 20, scale: 2, rotate: 0 })
+    jest.useRealTimers()
+  })
+})
@@ -1,12 +1,18 @@
 import React, { useRef, useState } from 'react'
 
 import { storiesOf } from '@storybook/react'
-import { withKnobs, boolean, number } from '@storybook/addon-knobs';
+import { withKnobs, boolean, number, select } from '@storybook/addon-knobs';
+import { action } from '@storybook/addon-actions';
 import ZoomControllerUI from './ControllerUI/ZoomControllerUI'
 import PadControllerUI from './ControllerUI/PadControllerUI'
 import ResetControllerUI from './ControllerUI/ResetControllerUI'
 import RotationControllerUI from './ControllerUI/RotationControllerUI'
 import PanZoom from '../src/PanZoom'
+import usePanZoom from '../src/usePanZoom'
+import PanZoomMinimap from '../src/PanZoomMinimap'
+import { PanZoomProvider } from '../src/PanZoomContext'
+import { PanZoomOverlay, OverlayItem } from '../src/PanZoomOverlay'
+import { ZoomControls, RotationControls, ResetControls, PadControls, ZoomReadout, ZoomSlider } from '../src/PanZoomControls'
 import ContentBox from './ContentBox'
 
 const Box = ({ children }) => (
@@ -146,6 +152,162 @@ const AutoCenterDemo = ({ animate }) => {
   )
 }
 
+const UsePanZoomDemo = () => {
+  const { containerRef, contentRef, transform, zoomIn, zoomOut, autoCenter, reset } = usePanZoom({
+    minZoom: 0.5,
+    maxZoom: 3,
+    autoCenter: true,
+  })
+
+  return (
+    <div
+      ref={containerRef}
+      style={{ position: 'relative', border: 'solid 1px green', height: 500, overflow: 'hidden' }}
+    >
+      <div ref={contentRef} style={{ display: 'inline-block' }}>
+        <ContentBox />
+      </div>
+
+      <div style={{ position: 'absolute', left: 8, top: 8, zIndex: 1 }}>
+        <ZoomControllerUI
+          onZoomIn={() => zoomIn()}
+          onZoomOut={() => zoomOut()}
+        />
+      </div>
+
+      <div style={{ position: 'absolute', left: 8, bottom: 8 }}>
+        <ResetControllerUI
+          reset={reset}
+          center={() => autoCenter()}
+        />
+      </div>
+
+      <div style={{ position: 'absolute', right: 8, top: 8 }}>
+        {`${Math.round(transform.scale * 100)}%`}
+      </div>
+    </div>
+  )
+}
+
+const ZoomStepsDemo = () => {
+  const ref = useRef(null)
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <DefaultPanZoom
+        ref={ref}
+        minZoom={0.25}
+        maxZoom={4}
+        zoomSteps={[0.25, 0.5, 1, 2, 4]}
+        snapWheelZoom={boolean('Snap wheel zoom', true)}
+      >
+        <ContentBox />
+      </DefaultPanZoom>
+      <div style={{ position: 'absolute', left: 8, top: 8 }}>
+        <ZoomControllerUI
+          onZoomIn={() => ref.current.zoomIn()}
+          onZoomOut={() => ref.current.zoomOut()}
+        />
+        <button onClick={() => ref.current.setZoom(1, undefined, true)}>100%</button>
+      </div>
+    </div>
+  )
+}
+
+const MinimapDemo = () => {
+  const ref = useRef(null)
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <DefaultPanZoom ref={ref} enablePinchRotate>
+        <ContentBox />
+      </DefaultPanZoom>
+      <PanZoomMinimap
+        panZoomRef={ref}
+        width={number('Minimap width', 200)}
+        style={{ position: 'absolute', right: 8, bottom: 8, border: 'solid 1px grey', background: 'white' }}
+      />
+    </div>
+  )
+}
+
+const ControlsDemo = () => {
+  const theme = select('Theme', ['light', 'dark'], 'light') === 'dark'
+    ? { color: '#eee', background: '#333', separator: '1px solid #555' }
+    : undefined
+
+  return (
+    <PanZoomProvider>
+      <div style={{ position: 'relative' }}>
+        <DefaultPanZoom zoomSteps={[0.5, 0.75, 1, 1.5, 2, 3]}>
+          <ContentBox />
+        </DefaultPanZoom>
+        <ZoomControls theme={theme} style={{ position: 'absolute', left: 8, top: 8 }} />
+        <RotationControls theme={theme} style={{ position: 'absolute', right: 8, top: 8 }} />
+        <ResetControls theme={theme} style={{ position: 'absolute', left: 8, bottom: 8 }} />
+        <PadControls theme={theme} style={{ position: 'absolute', right: 8, bottom: 8 }} />
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', marginTop: 8 }}>
+        <ZoomSlider theme={theme} />
+        <ZoomReadout theme={theme} style={{ marginLeft: 8 }} />
+      </div>
+    </PanZoomProvider>
+  )
+}
+
+const pins = [
+  { x: 40, y: 60, label: 'Entrance' },
+  { x: 220, y: 140, label: 'Kitchen' },
+  { x: 380, y: 260, label: 'Garden' },
+]
+
+const OverlayDemo = () => (
+  <PanZoomProvider>
+    <div style={{ position: 'relative' }}>
+      <DefaultPanZoom maxZoom={8} enablePinchRotate>
+        <ContentBox />
+        <PanZoomOverlay>
+          {pins.map(pin => (
+            <OverlayItem key={pin.label} x={pin.x} y={pin.y} anchor={{ x: 0.5, y: 1 }} scaleWithZoom={boolean('Scale with zoom', false)}>
+              <div style={{ padding: '2px 6px', background: '#4d90fe', color: 'white', borderRadius: 4 }}>
+                {pin.label}
+              </div>
+            </OverlayItem>
+          ))}
+        </PanZoomOverlay>
+      </DefaultPanZoom>
+      <RotationControls style={{ position: 'absolute', right: 8, top: 8 }} />
+    </div>
+  </PanZoomProvider>
+)
+
+const GuidedTourDemo = () => {
+  const ref = useRef(null)
+
+  function startTour() {
+    const panZoom = ref.current
+    panZoom.animateTo({ x: -200, y: -100, scale: 2 }, { duration: 800 })
+      .then(finished => finished && panZoom.animateTo({ rotate: 45 }, { duration: 500, easing: 'easeOut' }))
+      .then(finished => finished && panZoom.animateTo({ x: 100, y: 50, scale: 1, rotate: 0 }, { duration: 800 }))
+      .then(finished => finished && panZoom.autoCenter(1, { duration: 500 }))
+  }
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <DefaultPanZoom
+        ref={ref}
+        onAnimationStart={action('onAnimationStart')}
+        onAnimationEnd={action('onAnimationEnd')}
+      >
+        <ContentBox />
+      </DefaultPanZoom>
+      <button style={{ position: 'absolute', left: 8, top: 8 }} onClick={startTour}>
+        Start tour
+      </button>
+    </div>
+  )
+}
+
 storiesOf('react-easy-panzoom', module)
   .addDecorator(withKnobs)
   .add('Basic', () => (
@@ -153,13 +315,19 @@ storiesOf('react-easy-panzoom', module)
       disabled={boolean('Disabled', false)}
       disableKeyInteraction={boolean('Disabled key interaction', false)}
       realPinch={boolean('Enable real pinch', false)}
-      keyMapping={
+      enablePinchRotate={boolean('Enable pinch rotate', false)}
+      enableInertia={boolean('Enable inertia', false)}
+      inertiaFriction={number('Inertia friction', 0.92, { range: true, min: 0.5, max: 0.99, step: 0.01 })}
+      keyMap={
         boolean('Enable additional key mapping', false) ?
           {
-            '87': { x: 0, y: -1, z: 0 },
-            '83': { x: 0, y: 1, z: 0 },
-            '65': { x: -1, y: 0, z: 0 },
-            '68': { x: 1, y: 0, z: 0 },
+            'w': { action: 'panBy', x: 0, y: -1 },
+            's': { action: 'panBy', x: 0, y: 1 },
+            'a': { action: 'panBy', x: -1, y: 0 },
+            'd': { action: 'panBy', x: 1, y: 0 },
+            'r': { action: 'rotate', angle: 90 },
+            'Shift+R': { action: 'rotate', angle: -90 },
+            'c': 'autoCenter',
           } : {}
       }
     >
@@ -186,6 +354,9 @@ storiesOf('react-easy-panzoom', module)
       maxZoom={Infinity}
       boundaryRatioHorizontal={number('Horizontal boundary ratio', 0.8, { range: true, min: -1, max: 2, step: 0.1 })}
       boundaryRatioVertical={number('Vertical boundary ratio', 0.8, { range: true, min: -1, max: 2, step: 0.1 })}
+      boundaryMode={select('Boundary mode', ['ratio', 'contain', 'cover'], 'ratio')}
+      enableRubberBand={boolean('Enable rubber band', false)}
+      maxOverscroll={number('Max overscroll', 100, { range: true, min: 0, max: 300, step: 10 })}
       enableBoundingBox
     >
       <Box>
@@ -224,6 +395,37 @@ storiesOf('react-easy-panzoom', module)
       </Box>
     </DefaultPanZoom>
   ))
+  .add('Wheel mode', () => (
+    <DefaultPanZoom
+      maxZoom={Infinity}
+      wheelMode={select('Wheel mode', ['zoom', 'pan', 'none'], 'pan')}
+      disableScrollZoom={boolean('Disable Scroll Zoom', false)}
+    >
+      <Box>
+        In the pan mode, scroll to pan, Shift + scroll to pan horizontally and Ctrl / Cmd + scroll or pinch to zoom
+      </Box>
+    </DefaultPanZoom>
+  ))
+  .add('Zoom steps', () => <ZoomStepsDemo />)
+  .add('Resize policy', () => (
+    <DefaultPanZoom
+      style={{ border: 'solid 1px green', height: 500, overflow: 'hidden', resize: 'both' }}
+      resizePolicy={select('Resize policy', ['keep-top-left', 'keep-center', 'refit', 'none'], 'keep-center')}
+      enableBoundingBox={boolean('Enable bounding box', false)}
+    >
+      <Box>
+        Resize the container from its bottom right corner
+      </Box>
+    </DefaultPanZoom>
+  ))
+  .add('Minimap', () => <MinimapDemo />)
+  .add('Controls', () => <ControlsDemo />)
+  .add('Overlay', () => <OverlayDemo />)
+  .add('Persistence', () => (
+    <DefaultPanZoom persist={{ id: 'story', storage: select('Storage', ['local', 'session', 'query', 'hash'], 'local') }}>
+      <ContentBox />
+    </DefaultPanZoom>
+  ))
   .add('onStateChange handler', () => {
     return (
       <>
@@ -240,3 +442,5 @@ storiesOf('react-easy-panzoom', module)
     )
   })
   .add('autoCenter animate option', () => <AutoCenterDemo animate={boolean('Animate auto center', true)} />)
+  .add('usePanZoom hook', () => <UsePanZoomDemo />)
+  .add('Animations', () => <GuidedTourDemo />)
@@ -0,0 +1,51 @@
+import ReactDOM from 'react-dom'
+import { act } from 'react-dom/test-utils'
+
+// jsdom does not implement PointerEvent
+export const pointerEvent = (target, type, clientX, clientY, pointerId = 1, pointerType = 'mouse') => {
+  const event = new MouseEvent(type, { clientX, clientY, button: 0, bubbles: true, cancelable: true })
+  Object.defineProperty(event, 'pointerId', { value: pointerId })
+  Object.defineProperty(event, 'pointerType', { value: pointerType })
+  act(() => {
+    target.dispatchEvent(event)
+  })
+}
+
+// Element the components are rendered in
+export const createRoot = () => {
+  const root = document.createElement('div')
+  document.body.appendChild(root)
+  return root
+}
+
+export const removeRoot = (root) => {
+  ReactDOM.unmountComponentAtNode(root)
+  document.body.removeChild(root)
+}
+
+// jsdom does not compute the layout: every element is a 400x200 box,
+// with the given client size for the content
+export const mockLayout = (clientSize) => {
+  jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockImplementation(() => ({ left: 0, top: 0, width: 400, height: 200 }))
+  if (clientSize) {
+    mockClientSize(clientSize)
+  }
+}
+
+export const mockClientSize = ({ width, height }) => {
+  Object.defineProperty(HTMLElement.prototype, 'clientWidth', { configurable: true, get: () => width })
+  Object.defineProperty(HTMLElement.prototype, 'clientHeight', { configurable: true, get: () => height })
+}
+
+export const restoreLayout = () => {
+  delete HTMLElement.prototype.clientWidth
+  delete HTMLElement.prototype.clientHeight
+}
+
+// Run the animation frames right away
+export const mockAnimationFrame = () => {
+  jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => {
+    callback()
+    return 1
+  })
+}